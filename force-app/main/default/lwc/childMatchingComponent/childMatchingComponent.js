@@ -1,9 +1,85 @@
-import { LightningElement, api, track } from 'lwc';
+import { LightningElement, api, track, wire } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { NavigationMixin } from 'lightning/navigation';
+import { refreshApex } from '@salesforce/apex';
 import runMatching from '@salesforce/apex/ChildMatchingService.runMatching';
-import updateMatchStatus from '@salesforce/apex/MatchResultController.updateMatchStatus';
 import getMatchHistory from '@salesforce/apex/MatchResultController.getMatchHistory';
+import {
+    applyFilters,
+    sortResults,
+    getFieldOptions,
+    getDefaultFilters
+} from 'c/matchFilterService';
+import {
+    buildCsv,
+    downloadCsv,
+    buildFileName,
+    getReportUrl,
+    REPORT_TYPE_CHILD
+} from 'c/matchExportService';
+import {
+    getCriterionWeights,
+    getConfiguredWeights,
+    rerankResults,
+    restoreServerRanking,
+    hasWeightChanges
+} from 'c/matchWeightService';
+import {
+    loadScoringSettings,
+    getScoreClass,
+    getScoreBadgeClass,
+    getProgressVariant,
+    getCriterionExplanation,
+    formatValue,
+    getDistanceAdjustmentLabel
+} from 'c/scoringPresentation';
+import { createLogger, describeError } from 'c/logger';
+import { loadUpcomingVisits, getVisitKey } from 'c/visitService';
+import {
+    CHANGE_STATUS,
+    describeStatusChange,
+    subscribeToMatchUpdates,
+    unsubscribeFromMatchUpdates
+} from 'c/matchUpdateService';
+
+const MAX_COMPARE = 4;
+
+const STATUS_BADGE_CLASSES = {
+    Recommended: 'slds-theme_success',
+    'Not Suitable': 'slds-theme_error',
+    'On Hold': 'slds-theme_warning',
+    'Outreach Approved': 'slds-badge_inverse',
+    Placed: 'slds-theme_alt-inverse'
+};
+
+// Only approved matches can be turned into a placement (see MatchStatusWorkflow)
+const PLACEMENT_READY_STATUS = 'Outreach Approved';
+
+// Fields used by the shared filter bar
+const FILTER_FIELDS = { rangeField: 'childAge', categoryField: 'childGender' };
+
+// A run returns and saves the top matches; further pages load on scroll or Load More
+// and are saved as they load
+const RUN_SIZE = 4;
+const PAGE_SIZE = 25;
+
+// Datatable columns whose display field differs from the value to sort on
+const SORT_FIELD_MAP = { childRecordLink: 'childName' };
+
+// Leading CSV columns; one column per criterion score is appended on export
+const EXPORT_COLUMNS = [
+    { label: 'Rank', fieldName: 'rank' },
+    { label: 'Child Name', fieldName: 'childName' },
+    { label: 'Age', fieldName: 'childAge' },
+    { label: 'Gender', fieldName: 'childGender' },
+    { label: 'Match Score', fieldName: 'overallScore' },
+    { label: 'High Priority Score', fieldName: 'highPriorityScore' },
+    { label: 'Medium Priority Score', fieldName: 'mediumPriorityScore' },
+    { label: 'Low Priority Score', fieldName: 'lowPriorityScore' },
+    { label: 'Distance (mi)', fieldName: 'distanceMiles' },
+    { label: 'Match Reasons', fieldName: 'matchReasons' },
+    { label: 'Flags', fieldName: 'flags' }
+];
 
 export default class ChildMatchingComponent extends NavigationMixin(LightningElement) {
     @api recordId; // Preference record ID
@@ -12,12 +88,32 @@ export default class ChildMatchingComponent extends NavigationMixin(LightningEle
     @track isLoading = false;
     @track hasResults = false;
     @track errorMessage = '';
-    @track showStatusModal = false;
-    @track selectedMatchId = '';
-    @track selectedStatus = '';
-    @track statusNotes = '';
-    @track notSuitableReason = '';
-    @track viewMode = 'detailed'; // 'table' or 'detailed'
+    @track statusMatchIds = []; // Match_Result__c IDs the status modal is open for
+    @track viewMode = 'detailed'; // 'table', 'detailed' or 'map'
+    @track compareIds = []; // Child IDs selected for side-by-side comparison
+    @track selectedRowIds = []; // Child IDs selected for bulk status updates
+    @track displayedResults = []; // matchResults after filters and sorting
+    @track filters = getDefaultFilters();
+    @track sortedBy = 'overallScore';
+    @track sortDirection = 'desc';
+    @track lastRunAt = ''; // ISO timestamp of the last successful matching run
+    @track weights = {}; // What-if criterion weights keyed by criterion name
+    configuredWeights = {}; // Weights as returned by runMatching
+    presetWeights = {}; // Weight overrides from the applied view preset, reapplied on each run
+    @track matchHistory = []; // Past Match_Result__c records for this preference
+    @track activeTab = 'matches';
+    @track totalCount = 0; // Qualified matches across all pages
+    @track hasMore = false;
+    @track isLoadingMore = false;
+    @track visitMatch = null; // Match the visit scheduler is open for
+    @track placementMatch = null; // Match the placement creator is open for
+    @track includeNearMisses = false; // Also list children failing one or two hard constraints
+    @track nearMisses = []; // c-near-miss-list candidates from the last run
+    upcomingVisits = {}; // Next scheduled visit keyed by getVisitKey
+    matchUpdateSubscription; // Resolves to the Match_Update__e subscription
+    
+    wiredHistoryResult;
+    logger = createLogger('childMatchingComponent');
     
     // Summary statistics
     @track totalMatches = 0;
@@ -25,14 +121,31 @@ export default class ChildMatchingComponent extends NavigationMixin(LightningEle
     @track topScore = 0;
     @track avgDistance = 0;
     
-    statusOptions = [
-        { label: 'Recommended', value: 'Recommended' },
-        { label: 'Not Suitable', value: 'Not Suitable' },
-        { label: 'On Hold / Alternate', value: 'On Hold' },
-        { label: 'Outreach Approved', value: 'Outreach Approved' }
+    sortOptions = [
+        { label: 'Match Score', value: 'overallScore' },
+        { label: 'Distance', value: 'distanceMiles' },
+        { label: 'Age', value: 'childAge' },
+        { label: 'Child Name', value: 'childRecordLink' }
     ];
     
     columns = [
+        {
+            label: 'Rank',
+            fieldName: 'rank',
+            type: 'number',
+            cellAttributes: { alignment: 'center' },
+            initialWidth: 80,
+            sortable: true
+        },
+        {
+            label: 'Rank Change',
+            fieldName: 'rankChangeLabel',
+            type: 'text',
+            cellAttributes: {
+                class: { fieldName: 'rankChangeClass' }
+            },
+            initialWidth: 120
+        },
         {
             label: 'Child Name',
             fieldName: 'childRecordLink',
@@ -69,6 +182,11 @@ export default class ChildMatchingComponent extends NavigationMixin(LightningEle
             type: 'number',
             sortable: true
         },
+        {
+            label: 'Status',
+            fieldName: 'matchStatus',
+            type: 'text'
+        },
         {
             label: 'Match Reasons',
             fieldName: 'matchReasonsString',
@@ -84,23 +202,87 @@ export default class ChildMatchingComponent extends NavigationMixin(LightningEle
         {
             type: 'action',
             typeAttributes: {
-                rowActions: [
-                    { label: 'Update Status', name: 'update_status' },
-                    { label: 'View Details', name: 'view_details' }
-                ]
+                rowActions: (row, doneCallback) => this.getRowActions(row, doneCallback)
             }
         }
     ];
     
+    /**
+     * Listen for status changes other caseworkers make on this preference's matches
+     */
     connectedCallback() {
-        this.loadMatchHistory();
+        this.matchUpdateSubscription = subscribeToMatchUpdates(
+            update => update.changeType === CHANGE_STATUS && update.preferenceId === this.recordId,
+            update => this.handleRemoteStatusChange(update)
+        );
+    }
+    
+    disconnectedCallback() {
+        if (this.matchUpdateSubscription) {
+            this.matchUpdateSubscription.then(unsubscribeFromMatchUpdates);
+            this.matchUpdateSubscription = null;
+        }
+    }
+    
+    /**
+     * Wire to get past match results and their status transitions
+     */
+    @wire(getMatchHistory, { preferenceId: '$recordId' })
+    wiredMatchHistory(result) {
+        this.wiredHistoryResult = result;
+        if (result.data) {
+            this.matchHistory = result.data;
+        } else if (result.error) {
+            this.logger.setContext({ recordId: this.recordId });
+            this.logger.error('Error loading match history', describeError(result.error));
+        }
+    }
+    
+    /**
+     * Track the selected top-level tab
+     */
+    handleTabActive(event) {
+        this.activeTab = event.target.value;
+    }
+    
+    /**
+     * Settings the preset picker saves: only weights that differ from the configured ones
+     */
+    get presetViewState() {
+        const weightOverrides = {};
+        Object.keys(this.weights).forEach(name => {
+            if (this.weights[name] !== this.configuredWeights[name]) {
+                weightOverrides[name] = this.weights[name];
+            }
+        });
+        return {
+            viewMode: this.viewMode,
+            filters: this.filters,
+            sortedBy: this.sortedBy,
+            sortDirection: this.sortDirection,
+            weightOverrides
+        };
+    }
+    
+    /**
+     * Apply a saved view preset; weight overrides take effect on loaded and future results
+     */
+    handlePresetApply(event) {
+        const preset = event.detail;
+        this.viewMode = preset.viewMode || this.viewMode;
+        this.filters = { ...getDefaultFilters(), ...preset.filters };
+        this.sortedBy = preset.sortedBy || this.sortedBy;
+        this.sortDirection = preset.sortDirection || this.sortDirection;
+        this.presetWeights = preset.weightOverrides || {};
+        this.weights = { ...this.configuredWeights, ...this.presetWeights };
+        this.applyWeights();
     }
     
     /**
-     * Toggle between table and detailed view
+     * Switch between table, detailed and map views
      */
-    toggleViewMode() {
-        this.viewMode = this.viewMode === 'table' ? 'detailed' : 'table';
+    handleViewModeSelect(event) {
+        this.viewMode = event.currentTarget.dataset.mode;
     }
     
     get isTableView() {
@@ -111,191 +293,454 @@ export default class ChildMatchingComponent extends NavigationMixin(LightningEle
         return this.viewMode === 'detailed';
     }
     
-    get viewModeLabel() {
-        return this.viewMode === 'table' ? 'Detailed View' : 'Table View';
+    get isMapView() {
+        return this.viewMode === 'map';
+    }
+    
+    // Cards stay visible under the map so marker clicks can scroll to them
+    get showMatchCards() {
+        return this.viewMode === 'detailed' || this.viewMode === 'map';
     }
     
-    get viewModeIcon() {
-        return this.viewMode === 'table' ? 'utility:preview' : 'utility:table';
+    /**
+     * The family being matched, taken from the results
+     */
+    get mapAnchor() {
+        const first = this.displayedResults[0];
+        return first ? {
+            latitude: first.familyLatitude,
+            longitude: first.familyLongitude,
+            title: first.familyName,
+            description: 'Family home'
+        } : null;
+    }
+    
+    get mapMatches() {
+        return this.displayedResults.map(match => ({
+            id: match.childId,
+            title: match.childName,
+            latitude: match.childLatitude,
+            longitude: match.childLongitude,
+            score: match.overallScore,
+            distanceMiles: match.distanceMiles,
+            description: match.matchStatus
+        }));
+    }
+    
+    /**
+     * Scroll to the card for a selected map marker
+     */
+    handleMapMatchSelect(event) {
+        const card = this.template.querySelector(`[data-card-id="${event.detail.id}"]`);
+        if (card) {
+            card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
     }
     
     /**
      * Handle Run Matching button click
      */
     handleRunMatching() {
-        console.log('=== Run Matching Started ===');
-        console.log('Run Matching button clicked for Preference ID:', this.recordId);
-        console.log('Timestamp:', new Date().toISOString());
+        this.logger.setContext({ recordId: this.recordId });
+        this.logger.startCorrelation();
+        this.logger.info('Run matching started', { pageSize: RUN_SIZE });
         
         this.isLoading = true;
         this.errorMessage = '';
+        this.activeTab = 'matches';
         this.matchResults = [];
+        this.displayedResults = [];
+        this.totalCount = 0;
+        this.hasMore = false;
+        this.compareIds = [];
+        this.selectedRowIds = [];
+        this.nearMisses = [];
         
-        console.log('Calling Apex method: runMatching');
-        console.log('Parameters:', { preferenceId: this.recordId });
-        
-        runMatching({ preferenceId: this.recordId })
-            .then(response => {
-                console.log('=== Apex Response Received ===');
-                console.log('Raw response:', JSON.stringify(response, null, 2));
-                console.log('Response type:', typeof response);
-                console.log('Response.success:', response.success);
-                console.log('Response.message:', response.message);
-                console.log('Response.results:', response.results);
-                console.log('Response.results length:', response.results ? response.results.length : 'null');
+        // Score bands and distance labels come from the matching settings
+        Promise.all([
+            runMatching({
+                preferenceId: this.recordId,
+                pageSize: RUN_SIZE,
+                pageOffset: 0,
+                includeNearMisses: this.includeNearMisses
+            }),
+            loadScoringSettings()
+        ])
+            .then(([response]) => {
+                this.logger.debug('runMatching response', {
+                    success: response.success,
+                    message: response.message,
+                    resultCount: Array.isArray(response.results) ? response.results.length : null,
+                    totalCount: response.totalCount,
+                    hasMore: response.hasMore
+                });
                 
                 if (response.success) {
-                    console.log('Success branch - Processing results...');
-                    
                     if (!response.results || !Array.isArray(response.results)) {
-                        console.error('ERROR: Results is not an array!', response.results);
                         this.errorMessage = 'Invalid response format: results is not an array';
+                        this.logger.error(this.errorMessage, { resultsType: typeof response.results });
                         this.showToast('Error', this.errorMessage, 'error');
                         return;
                     }
                     
-                    console.log('Processing ' + response.results.length + ' results...');
                     this.processMatchResults(response.results);
-                    console.log('Results processed. Match results count:', this.matchResults.length);
-                    
-                    console.log('Calculating summary stats...');
-                    this.calculateSummaryStats();
-                    console.log('Summary stats:', {
-                        totalMatches: this.totalMatches,
+                    this.nearMisses = this.buildNearMisses(response.nearMisses);
+                    this.totalCount = response.totalCount;
+                    this.hasMore = response.hasMore;
+                    // Ranks by any preset weight overrides, then filters and sorts
+                    this.applyWeights();
+                    this.logger.info('Run matching completed', {
+                        loaded: this.matchResults.length,
+                        nearMisses: this.nearMisses.length,
+                        totalCount: this.totalCount,
                         averageScore: this.averageScore,
-                        topScore: this.topScore,
-                        avgDistance: this.avgDistance
+                        topScore: this.topScore
                     });
                     
+                    this.lastRunAt = new Date().toISOString();
+                    this.refreshMatchHistory();
                     this.showToast('Success', 'Matching completed successfully!', 'success');
-                    console.log('=== Run Matching Completed Successfully ===');
                 } else {
-                    console.log('Failure branch - Error from Apex');
-                    console.error('Apex returned success=false');
-                    console.error('Error message:', response.message);
-                    
+                    this.logger.warn('Run matching returned an error', { message: response.message });
                     this.errorMessage = response.message;
                     this.showToast('Error', response.message, 'error');
                 }
             })
             .catch(error => {
-                console.log('=== Error Caught in Promise ===');
-                console.error('Error object:', error);
-                console.error('Error type:', typeof error);
-                console.error('Error keys:', Object.keys(error));
-                
-                if (error.body) {
-                    console.error('Error body:', error.body);
-                    console.error('Error body.message:', error.body.message);
-                    console.error('Error body.stackTrace:', error.body.stackTrace);
-                    console.error('Error body.fieldErrors:', error.body.fieldErrors);
-                    console.error('Error body.pageErrors:', error.body.pageErrors);
-                }
-                
-                if (error.message) {
-                    console.error('Error message:', error.message);
-                }
-                
-                if (error.stack) {
-                    console.error('Error stack:', error.stack);
-                }
-                
+                this.logger.error('Run matching failed', describeError(error));
                 this.errorMessage = error.body ? error.body.message : 'Unknown error occurred';
                 this.showToast('Error', this.errorMessage, 'error');
-                console.error('Full error:', JSON.stringify(error, null, 2));
-                console.log('=== End Error Handler ===');
             })
             .finally(() => {
-                console.log('Finally block - Setting isLoading to false');
                 this.isLoading = false;
-                console.log('=== Run Matching Request Complete ===');
             });
     }
     
     /**
-     * Process match results for display with detailed breakdowns
+     * Process a page of match results for display. The first page replaces the
+     * current results; later pages are appended. Per-criterion details are built
+     * lazily when a card's score breakdown is opened (see buildScoreDetails).
      */
-    processMatchResults(results) {
-        console.log('=== Processing Match Results ===');
-        console.log('Input results:', results);
-        console.log('Input results type:', typeof results);
-        console.log('Input results length:', results ? results.length : 'null');
-        
+    processMatchResults(results, offset = 0) {
         if (!results || !Array.isArray(results)) {
-            console.error('ERROR: Results is not a valid array');
+            this.logger.error('Match results are not a valid array', { offset });
             return;
         }
         
         try {
-            this.matchResults = results.map((result, index) => {
-                console.log(`Processing result ${index + 1}/${results.length}:`, result);
-                
-                // Parse detailed scores
-                const detailedScores = result.detailedScores || {};
-                console.log(`  Detailed scores for ${result.childName}:`, detailedScores);
-                
-                // Process high priority details
-                const highPriorityDetails = this.processScoreDetails(
-                    detailedScores, 
-                    'High'
-                );
-                console.log(`  High priority details:`, highPriorityDetails);
-                
-                // Process medium priority details
-                const mediumPriorityDetails = this.processScoreDetails(
-                    detailedScores, 
-                    'Medium'
-                );
-                console.log(`  Medium priority details:`, mediumPriorityDetails);
+            const pageRows = results.map((result, index) => {
+                const rank = offset + index + 1;
                 
-                // Process low priority details (NEW)
-                const lowPriorityDetails = this.processScoreDetails(
-                    detailedScores, 
-                    'Low'
-                );
-                console.log(`  Low priority details:`, lowPriorityDetails);
-                
-                // Calculate distance adjustment display
-                const distanceAdj = this.calculateDistanceAdjustment(result.distanceMiles);
-                console.log(`  Distance adjustment:`, distanceAdj);
-                
-                const processedResult = {
+                return {
                     ...result,
                     matchReasonsString: result.matchReasons.join('; '),
                     flagsString: result.flags.length > 0 ? result.flags.join('; ') : 'None',
                     hasFlags: result.flags.length > 0,
-                    scoreClass: this.getScoreClass(result.overallScore),
-                    progressVariant: this.getProgressVariant(result.overallScore),
-                    highPriorityDetails: highPriorityDetails,
-                    mediumPriorityDetails: mediumPriorityDetails,
-                    lowPriorityDetails: lowPriorityDetails, // NEW
-                    distanceAdjustment: distanceAdj,
+                    scoreClass: getScoreClass(result.overallScore),
+                    progressVariant: getProgressVariant(result.overallScore),
+                    distanceAdjustment: getDistanceAdjustmentLabel(result.distanceMiles),
+                    isExpanded: false,
+                    detailsLoaded: false,
+                    ...this.getDetailsToggle(false),
+                    isSelectedForCompare: this.compareIds.includes(result.childId),
+                    isSelected: this.selectedRowIds.includes(result.childId),
+                    matchStatus: result.matchStatus || 'New',
+                    statusBadgeClass: this.getStatusBadgeClass(result.matchStatus),
+                    canCreatePlacement: this.canCreatePlacement(result.matchStatus, result.matchResultId),
+                    upcomingVisit: this.upcomingVisits[getVisitKey(result.childId, result.familyId)] || null,
+                    // Server ranking, kept for what-if weight tuning
+                    serverRank: rank,
+                    serverScores: {
+                        overallScore: result.overallScore,
+                        highPriorityScore: result.highPriorityScore,
+                        mediumPriorityScore: result.mediumPriorityScore,
+                        lowPriorityScore: result.lowPriorityScore
+                    },
+                    rank: rank,
+                    rankChange: 0,
+                    rankChangeLabel: '—',
+                    rankChangeClass: '',
                     // For modal
                     matchResultId: result.matchResultId || ''
                 };
-                
-                console.log(`  Processed result:`, processedResult);
-                return processedResult;
             });
             
+            if (offset === 0) {
+                this.upcomingVisits = {};
+                this.matchResults = pageRows;
+                this.configuredWeights = getConfiguredWeights(this.matchResults);
+                this.weights = { ...this.configuredWeights, ...this.presetWeights };
+            } else {
+                this.matchResults = [...this.matchResults, ...pageRows];
+                // Criteria first seen on this page start at their configured weight
+                const pageWeights = getConfiguredWeights(pageRows);
+                this.configuredWeights = { ...pageWeights, ...this.configuredWeights };
+                this.weights = { ...pageWeights, ...this.weights };
+            }
+            
             this.hasResults = this.matchResults.length > 0;
-            console.log('Final processed results count:', this.matchResults.length);
-            console.log('hasResults:', this.hasResults);
-            console.log('=== End Processing Match Results ===');
+            this.loadVisitsFor(pageRows);
+            this.logger.debug('Processed match results', { offset, pageCount: results.length, loaded: this.matchResults.length });
             
         } catch (error) {
-            console.error('ERROR in processMatchResults:', error);
-            console.error('Error message:', error.message);
-            console.error('Error stack:', error.stack);
+            this.logger.error('Error processing match results', describeError(error));
             throw error;
         }
     }
     
+    /**
+     * c-near-miss-list candidates for the children that failed one or two hard constraints
+     */
+    buildNearMisses(results) {
+        return (results || []).map(result => ({
+            id: result.childId,
+            name: result.childName,
+            overallScore: result.overallScore,
+            details: `${result.childAge} years old, ${result.childGender}`,
+            failedConstraints: result.failedConstraints || []
+        }));
+    }
+    
+    get showNearMisses() {
+        return this.includeNearMisses && !!this.lastRunAt && !this.isLoading;
+    }
+    
+    /**
+     * Switch near-miss mode; re-runs matching when results are already shown
+     */
+    handleNearMissToggle(event) {
+        this.includeNearMisses = event.target.checked;
+        if (this.lastRunAt) {
+            this.handleRunMatching();
+        }
+    }
+    
+    handleNearMissView(event) {
+        this.navigateToChild(event.detail.recordId);
+    }
+    
+    /**
+     * Load the next scheduled visit for each match on a page
+     */
+    loadVisitsFor(rows) {
+        loadUpcomingVisits(rows.map(row => row.childId), rows.map(row => row.familyId))
+            .then(visits => {
+                this.upcomingVisits = { ...this.upcomingVisits, ...visits };
+                this.applyUpcomingVisits();
+            })
+            .catch(error => {
+                this.logger.error('Error loading upcoming visits', describeError(error));
+            });
+    }
+    
+    /**
+     * Copy the known upcoming visits onto the match rows
+     */
+    applyUpcomingVisits() {
+        this.matchResults = this.matchResults.map(match => ({
+            ...match,
+            upcomingVisit: this.upcomingVisits[getVisitKey(match.childId, match.familyId)] || null
+        }));
+        this.applyFiltersAndSort();
+    }
+    
+    /**
+     * Open the visit scheduler for a match card
+     */
+    handleScheduleVisit(event) {
+        const match = this.matchResults.find(m => m.childId === event.target.dataset.id);
+        if (match) {
+            this.visitMatch = {
+                childId: match.childId,
+                childName: match.childName,
+                familyId: match.familyId,
+                familyName: match.familyName
+            };
+        }
+    }
+    
+    /**
+     * Show a newly scheduled visit on its card if it is the next one for the match
+     */
+    handleVisitScheduled(event) {
+        const visit = event.detail.visit;
+        const key = getVisitKey(visit.childId, visit.familyId);
+        const current = this.upcomingVisits[key];
+        if (!current || new Date(visit.startTime) < new Date(current.startTime)) {
+            this.upcomingVisits = { ...this.upcomingVisits, [key]: visit };
+            this.applyUpcomingVisits();
+        }
+        this.closeVisitScheduler();
+    }
+    
+    closeVisitScheduler() {
+        this.visitMatch = null;
+    }
+    
+    /**
+     * Open the placement creator for an approved match
+     */
+    handleCreatePlacement(event) {
+        const match = this.matchResults.find(m => m.childId === event.target.dataset.id);
+        if (match && match.canCreatePlacement) {
+            this.placementMatch = {
+                matchResultId: match.matchResultId,
+                childName: match.childName,
+                familyName: match.familyName
+            };
+        }
+    }
+    
+    /**
+     * Mark the placed match as final; the child is no longer available for matching
+     */
+    handlePlacementCreated(event) {
+        const matchResultId = event.detail.matchResultId;
+        this.matchResults = this.matchResults.map(match => {
+            if (match.matchResultId !== matchResultId) {
+                return match;
+            }
+            return {
+                ...match,
+                matchStatus: 'Placed',
+                statusBadgeClass: this.getStatusBadgeClass('Placed'),
+                canCreatePlacement: false
+            };
+        });
+        this.applyFiltersAndSort();
+        this.refreshMatchHistory();
+        this.closePlacementCreator();
+    }
+    
+    closePlacementCreator() {
+        this.placementMatch = null;
+    }
+    
+    /**
+     * Apply another caseworker's status change. Each child has one Match_Result__c per
+     * preference, shared with reverse matching (see MatchResultService); a card without a
+     * saved record yet is also found by child and takes over the changed record so later
+     * actions build on that decision.
+     */
+    handleRemoteStatusChange(update) {
+        let changedMatch;
+        this.matchResults = this.matchResults.map(match => {
+            if (match.matchResultId !== update.matchResultId && match.childId !== update.childId) {
+                return match;
+            }
+            changedMatch = match;
+            return {
+                ...match,
+                matchResultId: update.matchResultId,
+                matchStatus: update.newStatus,
+                statusBadgeClass: this.getStatusBadgeClass(update.newStatus),
+                canCreatePlacement: this.canCreatePlacement(update.newStatus, update.matchResultId),
+                statusChangedLabel: describeStatusChange(update)
+            };
+        });
+        
+        if (!changedMatch) {
+            return;
+        }
+        this.applyFiltersAndSort();
+        this.refreshMatchHistory();
+        this.showToast(
+            'Match Updated',
+            `${changedMatch.childName} was marked ${update.newStatus} by ${update.changedByName || 'another user'}`,
+            'info'
+        );
+    }
+    
+    /**
+     * Per-criterion breakdown for one match, grouped by priority
+     */
+    buildScoreDetails(match) {
+        const detailedScores = match.detailedScores || {};
+        return {
+            highPriorityDetails: this.processScoreDetails(detailedScores, 'High'),
+            mediumPriorityDetails: this.processScoreDetails(detailedScores, 'Medium'),
+            lowPriorityDetails: this.processScoreDetails(detailedScores, 'Low'),
+            detailsLoaded: true
+        };
+    }
+    
+    /**
+     * Open or close a card's score breakdown, building its details on first open
+     */
+    handleToggleDetails(event) {
+        const childId = event.currentTarget.dataset.id;
+        this.matchResults = this.matchResults.map(match => {
+            if (match.childId !== childId) {
+                return match;
+            }
+            return {
+                ...match,
+                ...(match.detailsLoaded ? {} : this.buildScoreDetails(match)),
+                ...this.getDetailsToggle(!match.isExpanded),
+                isExpanded: !match.isExpanded
+            };
+        });
+        this.applyFiltersAndSort();
+    }
+    
+    getDetailsToggle(isExpanded) {
+        return isExpanded
+            ? { detailsToggleLabel: 'Hide Score Breakdown', detailsToggleIcon: 'utility:chevrondown' }
+            : { detailsToggleLabel: 'Show Score Breakdown', detailsToggleIcon: 'utility:chevronright' };
+    }
+    
+    /**
+     * Fetch the next page of results (datatable infinite scroll and the Load More button)
+     */
+    handleLoadMore(event) {
+        if (!this.hasMore || this.isLoadingMore) {
+            return;
+        }
+        
+        const datatable = event && event.target && event.target.tagName === 'LIGHTNING-DATATABLE'
+            ? event.target : null;
+        if (datatable) {
+            datatable.isLoading = true;
+        }
+        this.isLoadingMore = true;
+        
+        runMatching({
+            preferenceId: this.recordId,
+            pageSize: PAGE_SIZE,
+            pageOffset: this.matchResults.length,
+            includeNearMisses: this.includeNearMisses
+        })
+            .then(response => {
+                if (!response.success) {
+                    this.showToast('Error', response.message, 'error');
+                    return;
+                }
+                
+                this.processMatchResults(response.results || [], this.matchResults.length);
+                this.totalCount = response.totalCount;
+                this.hasMore = response.hasMore;
+                this.applyWeights();
+            })
+            .catch(error => {
+                this.showToast('Error', error.body ? error.body.message : 'Unknown error occurred', 'error');
+                this.logger.error('Error loading more matches', describeError(error));
+            })
+            .finally(() => {
+                this.isLoadingMore = false;
+                if (datatable) {
+                    datatable.isLoading = false;
+                }
+            });
+    }
+    
+    get loadedCountLabel() {
+        return `Showing ${this.matchResults.length} of ${this.totalCount} qualified matches`;
+    }
+    
     /**
      * Process score details for a priority level
      */
     processScoreDetails(detailedScores, priorityLevel) {
-        console.log(`Processing score details for priority: ${priorityLevel}`);
         const details = [];
         
         for (let key in detailedScores) {
@@ -303,119 +748,87 @@ export default class ChildMatchingComponent extends NavigationMixin(LightningEle
             
             if (scoreData.priority === priorityLevel) {
                 // Convert score to number if it's a string
-                const originalScore = scoreData.score;
                 const scoreValue = typeof scoreData.score === 'string' 
                     ? parseFloat(scoreData.score) 
                     : (scoreData.score || 0);
                 
-                if (typeof originalScore === 'string') {
-                    console.log(`  Converting score from string to number: "${originalScore}" -> ${scoreValue}`);
-                }
-                
                 const detail = {
                     name: scoreData.criterionName || key,
                     weight: scoreData.weight || 0,
                     score: scoreValue,
                     scoreDisplay: `${scoreValue.toFixed(0)}%`,
-                    preferenceValue: this.formatValue(scoreData.preferenceValue),
-                    childValue: this.formatValue(scoreData.childValue),
-                    explanation: this.generateExplanation({ ...scoreData, score: scoreValue }),
-                    badgeClass: this.getScoreBadgeClass(scoreValue),
-                    progressVariant: this.getProgressVariant(scoreValue)
+                    preferenceValue: formatValue(scoreData.preferenceValue),
+                    childValue: formatValue(scoreData.childValue),
+                    explanation: getCriterionExplanation(scoreData),
+                    badgeClass: getScoreBadgeClass(scoreValue),
+                    progressVariant: getProgressVariant(scoreValue)
                 };
                 
                 details.push(detail);
             }
         }
         
-        console.log(`  Found ${details.length} details for priority ${priorityLevel}`);
         return details.length > 0 ? details : null;
     }
     
     /**
-     * Format field values for display
+     * Rebuild the displayed results from the active filters and sort,
+     * then refresh the summary statistics to match
      */
-    formatValue(value) {
-        if (value === null || value === undefined || value === '') {
-            return 'No Preference';
-        }
-        
-        if (typeof value === 'boolean') {
-            return value ? 'Yes' : 'No';
-        }
-        
-        if (typeof value === 'number') {
-            return value.toString();
-        }
-        
-        return String(value);
+    applyFiltersAndSort() {
+        const filtered = applyFilters(this.matchResults, this.filters, FILTER_FIELDS);
+        const sortField = SORT_FIELD_MAP[this.sortedBy] || this.sortedBy;
+        this.displayedResults = sortResults(filtered, sortField, this.sortDirection);
+        this.calculateSummaryStats();
     }
     
     /**
-     * Generate explanation for score
+     * Handle filter changes from the filter bar
      */
-    generateExplanation(scoreData) {
-        const score = scoreData.score || 0;
-        const matchingLogic = scoreData.matchingLogic;
-        
-        if (score === 100) {
-            return '✓ Perfect match - meets all criteria';
-        } else if (score >= 80) {
-            return '✓ Excellent match - very close to preferences';
-        } else if (score >= 60) {
-            return '⚠ Good match - some differences from preference';
-        } else if (score >= 40) {
-            return '⚠ Partial match - notable differences';
-        } else if (score > 0) {
-            return '⚠ Low match - significant differences';
-        } else {
-            return '✗ Does not match preference';
-        }
+    handleFilterChange(event) {
+        this.filters = event.detail.filters;
+        this.applyFiltersAndSort();
     }
     
     /**
-     * Calculate distance adjustment for display
+     * Handle sort changes from the filter bar
      */
-    calculateDistanceAdjustment(miles) {
-        if (miles < 10) return '+10 points (Very close)';
-        if (miles < 25) return '0 points (Close)';
-        if (miles < 50) return '-5 points (Moderate distance)';
-        return '-10 points (Far distance)';
+    handleSortChange(event) {
+        this.sortedBy = event.detail.sortedBy;
+        this.sortDirection = event.detail.sortDirection;
+        this.applyFiltersAndSort();
     }
     
     /**
-     * Get CSS class based on score
+     * Handle column sorting in table view
      */
-    getScoreClass(score) {
-        if (score >= 80) return 'slds-text-color_success';
-        if (score >= 60) return 'slds-text-color_default';
-        return 'slds-text-color_warning';
+    handleSort(event) {
+        this.sortedBy = event.detail.fieldName;
+        this.sortDirection = event.detail.sortDirection;
+        this.applyFiltersAndSort();
     }
     
-    /**
-     * Get badge class based on score
-     */
-    getScoreBadgeClass(score) {
-        if (score >= 80) return 'slds-theme_success';
-        if (score >= 60) return 'slds-theme_info';
-        if (score >= 40) return 'slds-theme_warning';
-        return 'slds-theme_error';
+    get genderOptions() {
+        return getFieldOptions(this.matchResults, 'childGender');
     }
     
-    /**
-     * Get progress bar variant based on score
-     */
-    getProgressVariant(score) {
-        if (score >= 80) return 'success';
-        if (score >= 60) return 'base';
-        return 'warning';
+    get hasDisplayedResults() {
+        return this.displayedResults.length > 0;
+    }
+    
+    get unfilteredCount() {
+        return this.matchResults.length;
+    }
+    
+    get isFiltered() {
+        return this.displayedResults.length !== this.matchResults.length;
     }
     
     /**
-     * Calculate summary statistics
+     * Calculate summary statistics for the filtered results
      */
     calculateSummaryStats() {
-        if (this.matchResults.length === 0) {
+        if (this.displayedResults.length === 0) {
             this.totalMatches = 0;
             this.averageScore = 0;
             this.topScore = 0;
@@ -423,13 +836,13 @@ export default class ChildMatchingComponent extends NavigationMixin(LightningEle
             return;
         }
         
-        this.totalMatches = this.matchResults.length;
+        this.totalMatches = this.displayedResults.length;
         
         let totalScore = 0;
         let maxScore = 0;
         let totalDistance = 0;
         
-        this.matchResults.forEach(match => {
+        this.displayedResults.forEach(match => {
             totalScore += match.overallScore;
             totalDistance += match.distanceMiles;
             if (match.overallScore > maxScore) {
@@ -437,9 +850,118 @@ export default class ChildMatchingComponent extends NavigationMixin(LightningEle
             }
         });
         
-        this.averageScore = (totalScore / this.matchResults.length).toFixed(1);
+        this.averageScore = (totalScore / this.displayedResults.length).toFixed(1);
         this.topScore = maxScore.toFixed(1);
-        this.avgDistance = (totalDistance / this.matchResults.length).toFixed(1);
+        this.avgDistance = (totalDistance / this.displayedResults.length).toFixed(1);
+    }
+    
+    /**
+     * Criteria for the weight tuning panel with current and configured weights
+     */
+    get weightCriteria() {
+        return getCriterionWeights(this.matchResults).map(criterion => ({
+            ...criterion,
+            weight: criterion.name in this.weights ? this.weights[criterion.name] : criterion.weight,
+            configuredWeight: this.configuredWeights[criterion.name]
+        }));
+    }
+    
+    get isWeightModified() {
+        return hasWeightChanges(this.weights, this.configuredWeights);
+    }
+    
+    /**
+     * Handle a weight slider change
+     */
+    handleWeightChange(event) {
+        this.weights = { ...this.weights, [event.detail.name]: event.detail.weight };
+        this.applyWeights();
+    }
+    
+    /**
+     * Restore configured weights and the server ranking
+     */
+    handleWeightReset() {
+        this.presetWeights = {};
+        this.weights = { ...this.configuredWeights };
+        this.applyWeights();
+    }
+    
+    /**
+     * Re-score and re-rank results in the browser using the current weights
+     */
+    applyWeights() {
+        const isModified = this.isWeightModified;
+        const ranked = isModified
+            ? rerankResults(this.matchResults, this.weights)
+            : restoreServerRanking(this.matchResults);
+        
+        this.matchResults = ranked.map(match => ({
+            ...match,
+            scoreClass: getScoreClass(match.overallScore),
+            progressVariant: getProgressVariant(match.overallScore),
+            serverScoreDisplay: match.serverScores.overallScore,
+            rankChangeLabel: this.getRankChangeLabel(match.rankChange),
+            rankChangeClass: this.getRankChangeClass(match.rankChange),
+            showRankChange: isModified
+        }));
+        
+        this.applyFiltersAndSort();
+    }
+    
+    /**
+     * Label for movement against the server ranking
+     */
+    getRankChangeLabel(rankChange) {
+        if (rankChange > 0) return `▲ ${rankChange}`;
+        if (rankChange < 0) return `▼ ${Math.abs(rankChange)}`;
+        return '—';
+    }
+    
+    getRankChangeClass(rankChange) {
+        if (rankChange > 0) return 'slds-text-color_success';
+        if (rankChange < 0) return 'slds-text-color_error';
+        return 'slds-text-color_weak';
+    }
+    
+    get isExportDisabled() {
+        return this.isLoading || !this.hasResults;
+    }
+    
+    /**
+     * Handle Export menu selection
+     */
+    handleExportSelect(event) {
+        switch (event.detail.value) {
+            case 'csv':
+                this.exportCsv();
+                break;
+            case 'report':
+                this.openPrintableReport();
+                break;
+            default:
+                break;
+        }
+    }
+    
+    /**
+     * Download the filtered, sorted results as CSV
+     */
+    exportCsv() {
+        const csv = buildCsv(this.displayedResults, EXPORT_COLUMNS);
+        downloadCsv(csv, buildFileName('child-matches'));
+    }
+    
+    /**
+     * Open the print-friendly report for this preference
+     */
+    openPrintableReport() {
+        this[NavigationMixin.Navigate]({
+            type: 'standard__webPage',
+            attributes: {
+                url: getReportUrl(REPORT_TYPE_CHILD, this.recordId, this.lastRunAt)
+            }
+        });
     }
     
     /**
@@ -456,7 +978,148 @@ export default class ChildMatchingComponent extends NavigationMixin(LightningEle
             case 'view_details':
                 this.navigateToChild(row.childId);
                 break;
+            case 'toggle_compare':
+                this.toggleCompare(row.childId, !this.compareIds.includes(row.childId));
+                break;
+            default:
+                break;
+        }
+    }
+    
+    /**
+     * Build row actions for the table view, with a compare toggle per row
+     */
+    getRowActions(row, doneCallback) {
+        const isCompared = this.compareIds.includes(row.childId);
+        doneCallback([
+            { label: 'Update Status', name: 'update_status' },
+            { label: 'View Details', name: 'view_details' },
+            { label: isCompared ? 'Remove from Compare' : 'Add to Compare', name: 'toggle_compare' }
+        ]);
+    }
+    
+    /**
+     * Handle the Compare checkbox on a match card
+     */
+    handleCompareChange(event) {
+        this.toggleCompare(event.target.dataset.id, event.target.checked);
+    }
+    
+    /**
+     * Add or remove a child from the comparison selection
+     */
+    toggleCompare(childId, selected) {
+        if (selected && !this.compareIds.includes(childId)) {
+            if (this.compareIds.length >= MAX_COMPARE) {
+                this.showToast('Warning', `You can compare up to ${MAX_COMPARE} children at a time`, 'warning');
+                this.syncSelectionState();
+                return;
+            }
+            this.compareIds = [...this.compareIds, childId];
+        } else if (!selected) {
+            this.compareIds = this.compareIds.filter(id => id !== childId);
+        }
+        
+        this.syncSelectionState();
+    }
+    
+    /**
+     * Reflect the comparison and bulk selections on the processed results
+     */
+    syncSelectionState() {
+        this.matchResults = this.matchResults.map(match => ({
+            ...match,
+            isSelectedForCompare: this.compareIds.includes(match.childId),
+            isSelected: this.selectedRowIds.includes(match.childId)
+        }));
+        this.applyFiltersAndSort();
+    }
+    
+    /**
+     * Handle checkbox selection in table view. Rows hidden by filters keep their selection.
+     */
+    handleRowSelection(event) {
+        const displayedIds = this.displayedResults.map(match => match.childId);
+        const hiddenSelection = this.selectedRowIds.filter(id => !displayedIds.includes(id));
+        const visibleSelection = event.detail.selectedRows.map(row => row.childId);
+        
+        this.selectedRowIds = [...hiddenSelection, ...visibleSelection];
+        this.syncSelectionState();
+    }
+    
+    /**
+     * Handle the Select checkbox on a match card
+     */
+    handleSelectChange(event) {
+        const childId = event.target.dataset.id;
+        this.selectedRowIds = event.target.checked
+            ? [...this.selectedRowIds, childId]
+            : this.selectedRowIds.filter(id => id !== childId);
+        this.syncSelectionState();
+    }
+    
+    /**
+     * Clear the bulk selection
+     */
+    handleClearSelection() {
+        this.selectedRowIds = [];
+        this.syncSelectionState();
+    }
+    
+    /**
+     * Open the status modal for every selected match
+     */
+    handleBulkUpdateStatus() {
+        const matchResultIds = this.matchResults
+            .filter(match => this.selectedRowIds.includes(match.childId) && match.matchResultId)
+            .map(match => match.matchResultId);
+        
+        if (matchResultIds.length === 0) {
+            this.showToast('Warning', 'The selected matches have no saved match results to update', 'warning');
+            return;
         }
+        
+        this.statusMatchIds = matchResultIds;
+    }
+    
+    get selectedCount() {
+        return this.selectedRowIds.length;
+    }
+    
+    get hasSelection() {
+        return this.selectedRowIds.length > 0;
+    }
+    
+    /**
+     * Handle removal of a single child from the comparison panel
+     */
+    handleCompareRemove(event) {
+        this.toggleCompare(event.detail.id, false);
+    }
+    
+    /**
+     * Handle clearing the comparison panel
+     */
+    handleCompareClear() {
+        this.compareIds = [];
+        this.syncSelectionState();
+    }
+    
+    /**
+     * Selected matches in the order they were added to the comparison
+     */
+    get compareMatches() {
+        return this.compareIds
+            .map(id => this.matchResults.find(match => match.childId === id))
+            .filter(match => match);
+    }
+    
+    get showComparison() {
+        return this.compareIds.length >= 2;
+    }
+    
+    get showCompareHint() {
+        return this.compareIds.length === 1;
     }
     
     /**
@@ -485,80 +1148,91 @@ export default class ChildMatchingComponent extends NavigationMixin(LightningEle
      * Open status update modal
      */
     openStatusModal(row) {
-        this.selectedMatchId = row.matchResultId;
-        this.showStatusModal = true;
-    }
-    
-    /**
-     * Close status modal
-     */
-    closeStatusModal() {
-        this.showStatusModal = false;
-        this.selectedMatchId = '';
-        this.selectedStatus = '';
-        this.statusNotes = '';
-        this.notSuitableReason = '';
+        if (!row.matchResultId) {
+            this.showToast('Warning', 'This match has no saved match result to update', 'warning');
+            return;
+        }
+        this.statusMatchIds = [row.matchResultId];
     }
     
-    /**
-     * Handle status change
-     */
-    handleStatusChange(event) {
-        this.selectedStatus = event.detail.value;
+    get showStatusModal() {
+        return this.statusMatchIds.length > 0;
     }
     
-    /**
-     * Handle notes change
-     */
-    handleNotesChange(event) {
-        this.statusNotes = event.target.value;
+    closeStatusModal() {
+        this.statusMatchIds = [];
     }
     
     /**
-     * Handle not suitable reason change
+     * Apply the statuses saved in the status modal
      */
-    handleReasonChange(event) {
-        this.notSuitableReason = event.target.value;
+    handleStatusUpdate(event) {
+        this.applyStatusUpdates(event.detail.results);
     }
     
     /**
-     * Save status update
+     * Update affected rows in place and report any per-record failures
      */
-    handleSaveStatus() {
-        if (!this.selectedStatus) {
-            this.showToast('Warning', 'Please select a status', 'warning');
-            return;
-        }
+    applyStatusUpdates(results) {
+        const updatedStatuses = {};
+        const failures = [];
+        
+        results.forEach(result => {
+            if (result.success) {
+                updatedStatuses[result.matchResultId] = result.status;
+            } else {
+                failures.push(result);
+            }
+        });
         
-        if (this.selectedStatus === 'Not Suitable' && !this.notSuitableReason) {
-            this.showToast('Warning', 'Please provide a reason for "Not Suitable"', 'warning');
+        const updatedChildIds = [];
+        this.matchResults = this.matchResults.map(match => {
+            if (!(match.matchResultId in updatedStatuses)) {
+                return match;
+            }
+            updatedChildIds.push(match.childId);
+            const matchStatus = updatedStatuses[match.matchResultId];
+            return {
+                ...match,
+                matchStatus: matchStatus,
+                statusBadgeClass: this.getStatusBadgeClass(matchStatus),
+                canCreatePlacement: this.canCreatePlacement(matchStatus, match.matchResultId)
+            };
+        });
+        
+        this.applyFiltersAndSort();
+        
+        // Keep failed rows selected so they can be retried
+        this.selectedRowIds = this.selectedRowIds.filter(id => !updatedChildIds.includes(id));
+        this.syncSelectionState();
+        this.refreshMatchHistory();
+        
+        if (failures.length === 0) {
+            const message = updatedChildIds.length === 1
+                ? 'Status updated successfully'
+                : `${updatedChildIds.length} statuses updated successfully`;
+            this.showToast('Success', message, 'success');
             return;
         }
         
-        this.isLoading = true;
+        const failureDetails = failures.map(failure => {
+            const match = this.matchResults.find(m => m.matchResultId === failure.matchResultId);
+            return `${match ? match.childName : failure.matchResultId}: ${failure.message}`;
+        });
         
-        updateMatchStatus({
-            matchResultId: this.selectedMatchId,
-            newStatus: this.selectedStatus,
-            notes: this.statusNotes,
-            notSuitableReason: this.notSuitableReason
-        })
-            .then(result => {
-                if (result === 'SUCCESS') {
-                    this.showToast('Success', 'Status updated successfully', 'success');
-                    this.closeStatusModal();
-                    this.handleRunMatching(); // Refresh results
-                } else {
-                    this.showToast('Error', result, 'error');
-                }
-            })
-            .catch(error => {
-                this.showToast('Error', error.body.message, 'error');
-                console.error('Error updating status:', error);
-            })
-            .finally(() => {
-                this.isLoading = false;
-            });
+        this.showToast(
+            updatedChildIds.length > 0 ? 'Warning' : 'Error',
+            `${updatedChildIds.length} updated, ${failures.length} failed. ${failureDetails.join(' | ')}`,
+            updatedChildIds.length > 0 ? 'warning' : 'error'
+        );
+    }
+    
+    getStatusBadgeClass(status) {
+        return STATUS_BADGE_CLASSES[status] || '';
+    }
+    
+    canCreatePlacement(status, matchResultId) {
+        return status === PLACEMENT_READY_STATUS && !!matchResultId;
     }
     
     /**
@@ -576,17 +1250,19 @@ export default class ChildMatchingComponent extends NavigationMixin(LightningEle
     }
     
     /**
-     * Load match history
+     * Refresh match history after new results are saved or statuses change
      */
-    loadMatchHistory() {
-        getMatchHistory({ preferenceId: this.recordId })
-            .then(results => {
-                // Process and display history if needed
-                console.log('Match history loaded:', results);
-            })
-            .catch(error => {
-                console.error('Error loading match history:', error);
-            });
+    refreshMatchHistory() {
+        if (this.wiredHistoryResult) {
+            refreshApex(this.wiredHistoryResult);
+        }
+    }
+    
+    /**
+     * Open a child record from the history timeline
+     */
+    handleHistoryViewChild(event) {
+        this.navigateToChild(event.detail.childId);
     }
     
     /**
@@ -601,8 +1277,5 @@ export default class ChildMatchingComponent extends NavigationMixin(LightningEle
             })
         );
     }
-    
-    get showNotSuitableReason() {
-        return this.selectedStatus === 'Not Suitable';
-    }
+
 }
\ No newline at end of file
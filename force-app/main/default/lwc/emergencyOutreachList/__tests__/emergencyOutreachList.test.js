@@ -0,0 +1,75 @@
+import { createElement } from '@lwc/engine-dom';
+import EmergencyOutreachList from 'c/emergencyOutreachList';
+
+const CANDIDATES = [
+    {
+        rank: 1,
+        familyId: '001000000000001',
+        familyName: 'Smith Family',
+        phone: '(555) 010-0001',
+        distanceMiles: 3.25,
+        bedsLabel: '1 of 3 beds filled',
+        familyLocation: 'Austin, TX',
+        hardConstraintsMet: true,
+        failedConstraints: []
+    },
+    {
+        rank: 2,
+        familyId: '001000000000002',
+        familyName: 'Jones Family',
+        phone: null,
+        distanceMiles: null,
+        bedsLabel: '0 of 2 beds filled',
+        familyLocation: '',
+        hardConstraintsMet: false,
+        failedConstraints: [{ constraintName: 'Training', message: 'Training: requires Complete, is In Progress' }]
+    }
+];
+
+describe('c-emergency-outreach-list', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    it('lists families in call order with click-to-dial phone numbers', () => {
+        const element = createElement('c-emergency-outreach-list', { is: EmergencyOutreachList });
+        element.candidates = CANDIDATES;
+        document.body.appendChild(element);
+
+        const rows = [...element.shadowRoot.querySelectorAll('li.emergency-candidate')].map(li => li.textContent.replace(/\s+/g, ' ').trim());
+        expect(rows[0]).toBe('1. Smith Family • 3.25 miles away1 of 3 beds filled • Austin, TXMeets all hard constraints');
+        expect(rows[1]).toContain('Distance unknown');
+        expect(rows[1]).toContain('No phone on file');
+        expect(rows[1]).toContain('Training: requires Complete, is In Progress');
+
+        const dialers = element.shadowRoot.querySelectorAll('lightning-click-to-dial');
+        expect(dialers.length).toBe(1);
+        expect(dialers[0].value).toBe('(555) 010-0001');
+        expect(dialers[0].recordId).toBe('001000000000001');
+    });
+
+    it('shows an empty message and disables download without candidates', () => {
+        const element = createElement('c-emergency-outreach-list', { is: EmergencyOutreachList });
+        element.candidates = [];
+        document.body.appendChild(element);
+
+        expect(element.shadowRoot.textContent).toContain('No families open to emergency placements have an open bed.');
+        expect(element.shadowRoot.querySelector('lightning-button').disabled).toBe(true);
+    });
+
+    it('fires viewrecord with the family id', () => {
+        const element = createElement('c-emergency-outreach-list', { is: EmergencyOutreachList });
+        element.candidates = CANDIDATES;
+        document.body.appendChild(element);
+        const handler = jest.fn();
+        element.addEventListener('viewrecord', handler);
+
+        element.shadowRoot.querySelector('a[data-id="001000000000002"]').click();
+
+        expect(handler).toHaveBeenCalled();
+        expect(handler.mock.calls[0][0].detail.recordId).toBe('001000000000002');
+    });
+});
@@ -0,0 +1,72 @@
+import { LightningElement, api } from 'lwc';
+import { buildCsv, downloadCsv, buildFileName } from 'c/matchExportService';
+
+// Call list CSV columns, in the order an on-call worker works through them
+const CALL_LIST_COLUMNS = [
+    { label: 'Rank', fieldName: 'rank' },
+    { label: 'Family Name', fieldName: 'familyName' },
+    { label: 'Phone', fieldName: 'phone' },
+    { label: 'Distance (mi)', fieldName: 'distanceMiles' },
+    { label: 'Beds', fieldName: 'bedsLabel' },
+    { label: 'Location', fieldName: 'familyLocation' },
+    { label: 'Hard Constraints', fieldName: 'complianceLabel' }
+];
+
+/**
+ * Emergency placement call list: families open to emergency placements with an open bed
+ * and an Active license, in the order to call them, each with a click-to-dial phone number.
+ */
+export default class EmergencyOutreachList extends LightningElement {
+    // EmergencyPlacementController.EmergencyCandidate records, best first
+    @api candidates = [];
+
+    get hasCandidates() {
+        return this.candidates && this.candidates.length > 0;
+    }
+
+    get countLabel() {
+        const count = (this.candidates || []).length;
+        return count === 1 ? '1 family' : `${count} families`;
+    }
+
+    get isDownloadDisabled() {
+        return !this.hasCandidates;
+    }
+
+    get rows() {
+        return (this.candidates || []).map(candidate => {
+            const failures = candidate.failedConstraints || [];
+            return {
+                ...candidate,
+                hasPhone: !!candidate.phone,
+                distanceLabel: candidate.distanceMiles != null ? `${candidate.distanceMiles} miles away` : 'Distance unknown',
+                details: [candidate.bedsLabel, candidate.familyLocation].filter(Boolean).join(' • '),
+                complianceLabel: failures.length === 0
+                    ? 'Meets all hard constraints'
+                    : failures.map(failure => failure.message).join('; '),
+                complianceClass: failures.length === 0
+                    ? 'slds-text-body_small slds-text-color_success'
+                    : 'slds-text-body_small slds-text-color_error'
+            };
+        });
+    }
+
+    /**
+     * Download the call list to work from outside Salesforce
+     */
+    handleDownload() {
+        downloadCsv(buildCsv(this.rows, CALL_LIST_COLUMNS), buildFileName('emergency-call-list'));
+    }
+
+    /**
+     * Open a family's record
+     */
+    handleViewRecord(event) {
+        event.preventDefault();
+        this.dispatchEvent(
+            new CustomEvent('viewrecord', {
+                detail: { recordId: event.currentTarget.dataset.id }
+            })
+        );
+    }
+}
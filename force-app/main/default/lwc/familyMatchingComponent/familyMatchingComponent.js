@@ -1,7 +1,78 @@
-import { LightningElement, api, track } from 'lwc';
+import { LightningElement, api, track, wire } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { NavigationMixin } from 'lightning/navigation';
+import { refreshApex } from '@salesforce/apex';
 import runReverseMatching from '@salesforce/apex/FamilyMatchingService.runReverseMatching';
+import getChildMatchHistory from '@salesforce/apex/MatchResultController.getChildMatchHistory';
+import runSiblingGroupMatching from '@salesforce/apex/FamilyMatchingService.runSiblingGroupMatching';
+import getEmergencyCandidates from '@salesforce/apex/EmergencyPlacementController.getEmergencyCandidates';
+import recordOutreachResponse from '@salesforce/apex/FamilyOutreachController.recordResponse';
+import {
+    applyFilters,
+    sortResults,
+    getFieldOptions,
+    getDefaultFilters
+} from 'c/matchFilterService';
+import {
+    buildCsv,
+    downloadCsv,
+    buildFileName,
+    getReportUrl,
+    REPORT_TYPE_FAMILY
+} from 'c/matchExportService';
+import {
+    loadScoringSettings,
+    getScoreClass,
+    getScoreBadgeClass,
+    getProgressVariant,
+    getCriterionExplanation,
+    formatValue,
+    getDistanceAdjustmentLabel
+} from 'c/scoringPresentation';
+import { createLogger, describeError } from 'c/logger';
+import { loadUpcomingVisits, getVisitKey } from 'c/visitService';
+import { RESPONSE_OPTIONS, loadOutreach, getOutreachDisplay } from 'c/outreachService';
+import {
+    CHANGE_STATUS,
+    describeStatusChange,
+    subscribeToMatchUpdates,
+    unsubscribeFromMatchUpdates
+} from 'c/matchUpdateService';
+
+const STATUS_BADGE_CLASSES = {
+    Recommended: 'slds-theme_success',
+    'Not Suitable': 'slds-theme_error',
+    'On Hold': 'slds-theme_warning',
+    'Outreach Approved': 'slds-badge_inverse',
+    Placed: 'slds-theme_alt-inverse'
+};
+
+// Fields used by the shared filter bar
+const FILTER_FIELDS = { rangeField: 'familyCapacity', categoryField: 'licenseStatus', availabilityField: 'canPlaceToday' };
+
+// A run returns and saves the top matches; further pages load on scroll or Load More
+// and are saved as they load
+const RUN_SIZE = 4;
+const PAGE_SIZE = 25;
+
+// Datatable columns whose display field differs from the value to sort on
+const SORT_FIELD_MAP = { familyRecordLink: 'familyName' };
+
+// Leading CSV columns; one column per criterion score is appended on export
+const EXPORT_COLUMNS = [
+    { label: 'Family Name', fieldName: 'familyName' },
+    { label: 'Capacity', fieldName: 'familyCapacity' },
+    { label: 'Beds', fieldName: 'bedsLabel' },
+    { label: 'License Status', fieldName: 'licenseStatus' },
+    { label: 'Status', fieldName: 'matchStatus' },
+    { label: 'Match Score', fieldName: 'overallScore' },
+    { label: 'High Priority Score', fieldName: 'highPriorityScore' },
+    { label: 'Medium Priority Score', fieldName: 'mediumPriorityScore' },
+    { label: 'Low Priority Score', fieldName: 'lowPriorityScore' },
+    { label: 'Distance (mi)', fieldName: 'distanceMiles' },
+    { label: 'Match Reasons', fieldName: 'matchReasons' },
+    { label: 'Flags', fieldName: 'flags' }
+];
 
 export default class FamilyMatchingComponent extends NavigationMixin(LightningElement) {
     @api recordId; // Child record ID
@@ -10,7 +81,34 @@ export default class FamilyMatchingComponent extends NavigationMixin(LightningEl
     @track isLoading = false;
     @track hasResults = false;
     @track errorMessage = '';
-    @track viewMode = 'detailed'; // 'table' or 'detailed'
+    @track viewMode = 'detailed'; // 'table', 'detailed' or 'map'
+    @track displayedResults = []; // matchResults after filters and sorting
+    @track filters = getDefaultFilters();
+    @track sortedBy = 'overallScore';
+    @track sortDirection = 'desc';
+    @track lastRunAt = ''; // ISO timestamp of the last successful matching run
+    @track totalCount = 0; // Qualified matches across all pages
+    @track hasMore = false;
+    @track isLoadingMore = false;
+    @track visitMatch = null; // Match the visit scheduler is open for
+    @track includeNearMisses = false; // Also list families failing one or two hard constraints
+    @track nearMisses = []; // c-near-miss-list candidates from the last run
+    @track siblingGroupMode = false; // Match the child's whole sibling group together
+    @track siblingGroup = null; // { label, note } for the siblings matched in sibling group mode
+    @track splitAlternatives = []; // Split placements, only when no family can keep the siblings together
+    @track emergencyMode = false; // Call list of families open to emergency placements instead of scored matches
+    @track emergencyCandidates = []; // c-emergency-outreach-list candidates from the last emergency search
+    @track statusMatchIds = []; // Match_Result__c IDs the status modal is open for
+    @track matchHistory = []; // Match_Result__c records for this child from either direction
+    @track showHistory = false;
+    @track selectedFamilyIds = []; // Families selected for outreach
+    @track outreachFamilies = []; // [{ familyId, familyName }] the outreach composer is open for
+    wiredHistoryResult;
+    upcomingVisits = {}; // Next scheduled visit keyed by getVisitKey
+    outreachByFamily = {}; // Latest outreach for this child keyed by family ID
+    responseOptions = RESPONSE_OPTIONS;
+    matchUpdateSubscription; // Resolves to the Match_Update__e subscription
+    logger = createLogger('familyMatchingComponent');
     
     // Summary statistics
     @track totalMatches = 0;
@@ -18,6 +116,13 @@ export default class FamilyMatchingComponent extends NavigationMixin(LightningEl
     @track topScore = 0;
     @track avgDistance = 0;
     
+    sortOptions = [
+        { label: 'Match Score', value: 'overallScore' },
+        { label: 'Distance', value: 'distanceMiles' },
+        { label: 'Capacity', value: 'familyCapacity' },
+        { label: 'Family Name', value: 'familyRecordLink' }
+    ];
+    
     columns = [
         {
             label: 'Family Name',
@@ -40,6 +145,11 @@ export default class FamilyMatchingComponent extends NavigationMixin(LightningEl
             fieldName: 'licenseStatus',
             type: 'text'
         },
+        {
+            label: 'Status',
+            fieldName: 'matchStatus',
+            type: 'text'
+        },
         {
             label: 'Match Score',
             fieldName: 'overallScore',
@@ -71,6 +181,7 @@ export default class FamilyMatchingComponent extends NavigationMixin(LightningEl
             type: 'action',
             typeAttributes: {
                 rowActions: [
+                    { label: 'Update Status', name: 'update_status' },
                     { label: 'View Family', name: 'view_family' },
                     { label: 'View Preference', name: 'view_preference' }
                 ]
@@ -79,10 +190,65 @@ export default class FamilyMatchingComponent extends NavigationMixin(LightningEl
     ];
     
     /**
-     * Toggle between table and detailed view
+     * Listen for status changes caseworkers make on this child's matches
+     */
+    connectedCallback() {
+        this.matchUpdateSubscription = subscribeToMatchUpdates(
+            update => update.changeType === CHANGE_STATUS && update.childId === this.recordId,
+            update => this.handleRemoteStatusChange(update)
+        );
+    }
+    
+    disconnectedCallback() {
+        if (this.matchUpdateSubscription) {
+            this.matchUpdateSubscription.then(unsubscribeFromMatchUpdates);
+            this.matchUpdateSubscription = null;
+        }
+    }
+    
+    /**
+     * Wire to get this child's match results and their status transitions
+     */
+    @wire(getChildMatchHistory, { childId: '$recordId' })
+    wiredMatchHistory(result) {
+        this.wiredHistoryResult = result;
+        if (result.data) {
+            this.matchHistory = result.data;
+        } else if (result.error) {
+            this.logger.setContext({ recordId: this.recordId });
+            this.logger.error('Error loading match history', describeError(result.error));
+        }
+    }
+    
+    /**
+     * Settings the preset picker saves; family matching has no weight tuning
+     */
+    get presetViewState() {
+        return {
+            viewMode: this.viewMode,
+            filters: this.filters,
+            sortedBy: this.sortedBy,
+            sortDirection: this.sortDirection
+        };
+    }
+    
+    /**
+     * Apply a saved view preset
      */
-    toggleViewMode() {
-        this.viewMode = this.viewMode === 'table' ? 'detailed' : 'table';
+    handlePresetApply(event) {
+        const preset = event.detail;
+        this.viewMode = preset.viewMode || this.viewMode;
+        this.filters = { ...getDefaultFilters(), ...preset.filters };
+        this.sortedBy = preset.sortedBy || this.sortedBy;
+        this.sortDirection = preset.sortDirection || this.sortDirection;
+        this.applyFiltersAndSort();
+    }
+    
+    /**
+     * Switch between table, detailed and map views
+     */
+    handleViewModeSelect(event) {
+        this.viewMode = event.currentTarget.dataset.mode;
     }
     
     get isTableView() {
@@ -93,138 +259,527 @@ export default class FamilyMatchingComponent extends NavigationMixin(LightningEl
         return this.viewMode === 'detailed';
     }
     
-    get viewModeLabel() {
-        return this.viewMode === 'table' ? 'Detailed View' : 'Table View';
+    get isMapView() {
+        return this.viewMode === 'map';
     }
     
-    get viewModeIcon() {
-        return this.viewMode === 'table' ? 'utility:preview' : 'utility:table';
+    // Cards stay visible under the map so marker clicks can scroll to them
+    get showMatchCards() {
+        return this.viewMode === 'detailed' || this.viewMode === 'map';
+    }
+    
+    /**
+     * The child being placed, taken from the results
+     */
+    get mapAnchor() {
+        const first = this.displayedResults[0];
+        return first ? {
+            latitude: first.childLatitude,
+            longitude: first.childLongitude,
+            title: 'Child',
+            description: 'Child being placed'
+        } : null;
+    }
+    
+    get mapMatches() {
+        return this.displayedResults.map(match => ({
+            id: match.familyId,
+            title: match.familyName,
+            latitude: match.familyLatitude,
+            longitude: match.familyLongitude,
+            score: match.overallScore,
+            distanceMiles: match.distanceMiles,
+            description: match.licenseStatus
+        }));
+    }
+    
+    /**
+     * Scroll to the card for a selected map marker
+     */
+    handleMapMatchSelect(event) {
+        const card = this.template.querySelector(`[data-card-id="${event.detail.id}"]`);
+        if (card) {
+            card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
     }
     
     /**
      * Handle Run Matching button click
      */
     handleRunMatching() {
-        console.log('=== Run Reverse Matching Started ===');
-        console.log('Run Matching button clicked for Child ID:', this.recordId);
-        console.log('Timestamp:', new Date().toISOString());
+        this.logger.setContext({ recordId: this.recordId });
+        this.logger.startCorrelation();
+        this.logger.info('Run reverse matching started', { pageSize: RUN_SIZE });
         
         this.isLoading = true;
         this.errorMessage = '';
         this.matchResults = [];
+        this.displayedResults = [];
+        this.totalCount = 0;
+        this.hasMore = false;
+        this.nearMisses = [];
+        this.siblingGroup = null;
+        this.splitAlternatives = [];
+        this.emergencyCandidates = [];
+        this.selectedFamilyIds = [];
         
-        console.log('Calling Apex method: runReverseMatching');
-        console.log('Parameters:', { childId: this.recordId });
+        if (this.emergencyMode) {
+            this.runEmergencySearch();
+            return;
+        }
         
-        runReverseMatching({ childId: this.recordId })
-            .then(response => {
-                console.log('=== Apex Response Received ===');
-                console.log('Raw response:', JSON.stringify(response, null, 2));
-                console.log('Response.success:', response.success);
-                console.log('Response.message:', response.message);
-                console.log('Response.results length:', response.results ? response.results.length : 'null');
+        if (this.siblingGroupMode) {
+            this.runSiblingGroup();
+            return;
+        }
+        
+        // Score bands and distance labels come from the matching settings
+        Promise.all([
+            runReverseMatching({
+                childId: this.recordId,
+                pageSize: RUN_SIZE,
+                pageOffset: 0,
+                includeNearMisses: this.includeNearMisses
+            }),
+            loadScoringSettings()
+        ])
+            .then(([response]) => {
+                this.logger.debug('runReverseMatching response', {
+                    success: response.success,
+                    message: response.message,
+                    resultCount: Array.isArray(response.results) ? response.results.length : null,
+                    totalCount: response.totalCount,
+                    hasMore: response.hasMore
+                });
                 
                 if (response.success) {
-                    console.log('Success branch - Processing results...');
-                    
                     if (!response.results || !Array.isArray(response.results)) {
-                        console.error('ERROR: Results is not an array!', response.results);
                         this.errorMessage = 'Invalid response format: results is not an array';
+                        this.logger.error(this.errorMessage, { resultsType: typeof response.results });
                         this.showToast('Error', this.errorMessage, 'error');
                         return;
                     }
                     
-                    console.log('Processing ' + response.results.length + ' results...');
                     this.processMatchResults(response.results);
-                    console.log('Results processed. Match results count:', this.matchResults.length);
-                    
-                    console.log('Calculating summary stats...');
-                    this.calculateSummaryStats();
+                    this.nearMisses = this.buildNearMisses(response.nearMisses);
+                    this.totalCount = response.totalCount;
+                    this.hasMore = response.hasMore;
+                    this.applyFiltersAndSort();
+                    this.logger.info('Run reverse matching completed', {
+                        loaded: this.matchResults.length,
+                        nearMisses: this.nearMisses.length,
+                        totalCount: this.totalCount
+                    });
                     
+                    this.lastRunAt = new Date().toISOString();
+                    this.refreshMatchHistory();
                     this.showToast('Success', 'Matching completed successfully!', 'success');
-                    console.log('=== Run Reverse Matching Completed Successfully ===');
                 } else {
-                    console.log('Failure branch - Error from Apex');
-                    console.error('Error message:', response.message);
-                    
+                    this.logger.warn('Run reverse matching returned an error', { message: response.message });
                     this.errorMessage = response.message;
                     this.showToast('Error', response.message, 'error');
                 }
             })
             .catch(error => {
-                console.log('=== Error Caught in Promise ===');
-                console.error('Error object:', error);
-                
-                if (error.body) {
-                    console.error('Error body:', error.body);
-                    console.error('Error body.message:', error.body.message);
+                this.logger.error('Run reverse matching failed', describeError(error));
+                this.errorMessage = error.body ? error.body.message : 'Unknown error occurred';
+                this.showToast('Error', this.errorMessage, 'error');
+            })
+            .finally(() => {
+                this.isLoading = false;
+            });
+    }
+    
+    /**
+     * Match the child's whole sibling group. All results come back at once, so there is no paging.
+     */
+    runSiblingGroup() {
+        Promise.all([
+            runSiblingGroupMatching({ childId: this.recordId }),
+            loadScoringSettings()
+        ])
+            .then(([response]) => {
+                if (!response.success) {
+                    this.logger.warn('Sibling group matching returned an error', { message: response.message });
+                    this.errorMessage = response.message;
+                    this.showToast('Error', response.message, 'error');
+                    return;
                 }
                 
+                this.siblingGroup = this.buildSiblingGroup(response.siblings || [], response.groupSize);
+                this.processMatchResults(response.results || []);
+                this.splitAlternatives = response.splitAlternatives || [];
+                this.totalCount = response.totalCount;
+                this.applyFiltersAndSort();
+                this.logger.info('Sibling group matching completed', {
+                    siblings: (response.siblings || []).length,
+                    loaded: this.matchResults.length,
+                    splitAlternatives: this.splitAlternatives.length
+                });
+                
+                this.lastRunAt = new Date().toISOString();
+                this.showToast('Success', 'Sibling group matching completed successfully!', 'success');
+            })
+            .catch(error => {
+                this.logger.error('Sibling group matching failed', describeError(error));
                 this.errorMessage = error.body ? error.body.message : 'Unknown error occurred';
                 this.showToast('Error', this.errorMessage, 'error');
-                console.error('Full error:', JSON.stringify(error, null, 2));
             })
             .finally(() => {
-                console.log('Finally block - Setting isLoading to false');
                 this.isLoading = false;
             });
     }
     
     /**
-     * Process match results for display with detailed breakdowns
+     * Find families that can take the child tonight. Weighted scoring is skipped, so
+     * the call list has no score analytics, paging or export of scores.
      */
-    processMatchResults(results) {
-        console.log('=== Processing Match Results ===');
-        
+    runEmergencySearch() {
+        this.hasResults = false;
+        getEmergencyCandidates({ childId: this.recordId })
+            .then(candidates => {
+                this.emergencyCandidates = candidates || [];
+                this.logger.info('Emergency placement search completed', { candidates: this.emergencyCandidates.length });
+                this.lastRunAt = new Date().toISOString();
+            })
+            .catch(error => {
+                this.logger.error('Emergency placement search failed', describeError(error));
+                this.errorMessage = error.body ? error.body.message : 'Unknown error occurred';
+                this.showToast('Error', this.errorMessage, 'error');
+            })
+            .finally(() => {
+                this.isLoading = false;
+            });
+    }
+    
+    /**
+     * Switch emergency mode; the call list is loaded straight away
+     */
+    handleEmergencyToggle(event) {
+        this.emergencyMode = event.target.checked;
+        if (this.emergencyMode || this.lastRunAt) {
+            this.handleRunMatching();
+        }
+    }
+    
+    get showEmergencyList() {
+        return this.emergencyMode && !!this.lastRunAt && !this.isLoading && !this.errorMessage;
+    }
+    
+    get showNoResults() {
+        return !this.hasResults && !this.emergencyMode;
+    }
+    
+    handleEmergencyCandidateView(event) {
+        this.navigateToFamily(event.detail.recordId);
+    }
+    
+    // Emergency mode already accounts for the sibling group's beds
+    get isSiblingGroupToggleDisabled() {
+        return this.isLoading || this.emergencyMode;
+    }
+    
+    /**
+     * Banner text for the siblings being matched
+     */
+    buildSiblingGroup(siblings, groupSize) {
+        const names = siblings.map(sibling => sibling.childName);
+        const missing = (groupSize || names.length) - names.length;
+        return {
+            label: names.length > 1
+                ? `Matching ${names.length} siblings together: ${names.join(', ')}`
+                : `No siblings on record for ${names[0] || 'this child'}`,
+            note: missing > 0
+                ? `${missing} more ${missing === 1 ? 'sibling needs a bed' : 'siblings need beds'} (group of ${groupSize})`
+                : ''
+        };
+    }
+    
+    /**
+     * Switch sibling group mode; re-runs matching when results are already shown
+     */
+    handleSiblingGroupToggle(event) {
+        this.siblingGroupMode = event.target.checked;
+        if (this.lastRunAt) {
+            this.handleRunMatching();
+        }
+    }
+    
+    get showSplitAlternatives() {
+        return this.siblingGroupMode && !this.emergencyMode && !!this.lastRunAt && !this.isLoading && !this.hasResults;
+    }
+    
+    handleSplitHomeView(event) {
+        this.navigateToFamily(event.detail.recordId);
+    }
+    
+    get noResultsMessage() {
+        return this.siblingGroupMode && this.lastRunAt
+            ? 'No family can keep all the siblings together.'
+            : 'Click "Run Matching" to find suitable families for this child.';
+    }
+    
+    /**
+     * Process a page of match results for display. The first page replaces the
+     * current results; later pages are appended. Per-criterion details are built
+     * lazily when a card's score breakdown is opened (see buildScoreDetails).
+     */
+    processMatchResults(results, offset = 0) {
         if (!results || !Array.isArray(results)) {
-            console.error('ERROR: Results is not a valid array');
+            this.logger.error('Match results are not a valid array', { offset });
             return;
         }
         
         try {
-            this.matchResults = results.map((result, index) => {
-                console.log(`Processing result ${index + 1}/${results.length}:`, result);
-                
-                // Parse detailed scores
-                const detailedScores = result.detailedScores || {};
-                
-                // Process high priority details
-                const highPriorityDetails = this.processScoreDetails(detailedScores, 'High');
-                
-                // Process medium priority details
-                const mediumPriorityDetails = this.processScoreDetails(detailedScores, 'Medium');
-                
-                // Process low priority details
-                const lowPriorityDetails = this.processScoreDetails(detailedScores, 'Low');
-                
-                // Calculate distance adjustment display
-                const distanceAdj = this.calculateDistanceAdjustment(result.distanceMiles);
-                
-                const processedResult = {
-                    ...result,
-                    matchReasonsString: result.matchReasons.join('; '),
-                    flagsString: result.flags.length > 0 ? result.flags.join('; ') : 'None',
-                    hasFlags: result.flags.length > 0,
-                    scoreClass: this.getScoreClass(result.overallScore),
-                    progressVariant: this.getProgressVariant(result.overallScore),
-                    highPriorityDetails: highPriorityDetails,
-                    mediumPriorityDetails: mediumPriorityDetails,
-                    lowPriorityDetails: lowPriorityDetails,
-                    distanceAdjustment: distanceAdj
-                };
-                
-                return processedResult;
-            });
+            const pageRows = results.map(result => ({
+                ...result,
+                matchReasonsString: result.matchReasons.join('; '),
+                flagsString: result.flags.length > 0 ? result.flags.join('; ') : 'None',
+                hasFlags: result.flags.length > 0,
+                matchStatus: result.matchStatus || '', // Sibling group results are not saved
+                statusBadgeClass: this.getStatusBadgeClass(result.matchStatus),
+                scoreClass: getScoreClass(result.overallScore),
+                progressVariant: getProgressVariant(result.overallScore),
+                distanceAdjustment: getDistanceAdjustmentLabel(result.distanceMiles),
+                isExpanded: false,
+                detailsLoaded: false,
+                ...this.getDetailsToggle(false),
+                upcomingVisit: this.upcomingVisits[getVisitKey(result.childId, result.familyId)] || null,
+                ...getOutreachDisplay(this.outreachByFamily[result.familyId]),
+                isSelected: this.selectedFamilyIds.includes(result.familyId),
+                bedsClass: result.canPlaceToday === false ? 'slds-text-body_small slds-text-color_error' : 'slds-text-body_small slds-text-color_weak',
+                siblingScoreLabel: result.siblingCount > 1
+                    ? `${result.siblingNames} • Average ${result.overallScore} • Worst case ${result.worstCaseScore}`
+                    : ''
+            }));
             
+            this.matchResults = offset === 0 ? pageRows : [...this.matchResults, ...pageRows];
             this.hasResults = this.matchResults.length > 0;
-            console.log('Final processed results count:', this.matchResults.length);
+            this.loadVisitsFor(pageRows);
+            if (offset === 0) {
+                this.loadOutreachForChild();
+            }
+            this.logger.debug('Processed match results', { offset, pageCount: results.length, loaded: this.matchResults.length });
             
         } catch (error) {
-            console.error('ERROR in processMatchResults:', error);
+            this.logger.error('Error processing match results', describeError(error));
             throw error;
         }
     }
     
+    /**
+     * c-near-miss-list candidates for the families that failed one or two hard constraints
+     */
+    buildNearMisses(results) {
+        return (results || []).map(result => ({
+            id: result.familyId,
+            name: result.familyName,
+            overallScore: result.overallScore,
+            details: `Capacity: ${result.familyCapacity}, License: ${result.licenseStatus || 'None'}`,
+            failedConstraints: result.failedConstraints || []
+        }));
+    }
+    
+    get showNearMisses() {
+        return this.includeNearMisses && !this.siblingGroupMode && !this.emergencyMode && !!this.lastRunAt && !this.isLoading;
+    }
+    
+    // Sibling group matching and emergency mode do not report near misses
+    get isNearMissToggleDisabled() {
+        return this.isLoading || this.siblingGroupMode || this.emergencyMode;
+    }
+    
+    /**
+     * Switch near-miss mode; re-runs matching when results are already shown
+     */
+    handleNearMissToggle(event) {
+        this.includeNearMisses = event.target.checked;
+        if (this.lastRunAt) {
+            this.handleRunMatching();
+        }
+    }
+    
+    handleNearMissView(event) {
+        this.navigateToFamily(event.detail.recordId);
+    }
+    
+    /**
+     * Load the next scheduled visit for each match on a page
+     */
+    loadVisitsFor(rows) {
+        loadUpcomingVisits(rows.map(row => row.childId), rows.map(row => row.familyId))
+            .then(visits => {
+                this.upcomingVisits = { ...this.upcomingVisits, ...visits };
+                this.applyUpcomingVisits();
+            })
+            .catch(error => {
+                this.logger.error('Error loading upcoming visits', describeError(error));
+            });
+    }
+    
+    /**
+     * Copy the known upcoming visits onto the match rows
+     */
+    applyUpcomingVisits() {
+        this.matchResults = this.matchResults.map(match => ({
+            ...match,
+            upcomingVisit: this.upcomingVisits[getVisitKey(match.childId, match.familyId)] || null
+        }));
+        this.applyFiltersAndSort();
+    }
+    
+    /**
+     * Open the visit scheduler for a match card
+     */
+    handleScheduleVisit(event) {
+        const match = this.matchResults.find(m => m.familyId === event.target.dataset.id);
+        if (match) {
+            this.visitMatch = {
+                childId: match.childId,
+                childName: match.childName,
+                familyId: match.familyId,
+                familyName: match.familyName
+            };
+        }
+    }
+    
+    /**
+     * Show a newly scheduled visit on its card if it is the next one for the match
+     */
+    handleVisitScheduled(event) {
+        const visit = event.detail.visit;
+        const key = getVisitKey(visit.childId, visit.familyId);
+        const current = this.upcomingVisits[key];
+        if (!current || new Date(visit.startTime) < new Date(current.startTime)) {
+            this.upcomingVisits = { ...this.upcomingVisits, [key]: visit };
+            this.applyUpcomingVisits();
+        }
+        this.closeVisitScheduler();
+    }
+    
+    closeVisitScheduler() {
+        this.visitMatch = null;
+    }
+    
+    /**
+     * Show another caseworker's decision on the family card for that preference,
+     * whether it was made here or from child matching
+     */
+    handleRemoteStatusChange(update) {
+        let changedMatch;
+        this.matchResults = this.matchResults.map(match => {
+            if (match.preferenceId !== update.preferenceId) {
+                return match;
+            }
+            changedMatch = match;
+            return {
+                ...match,
+                matchResultId: update.matchResultId || match.matchResultId,
+                matchStatus: update.newStatus,
+                statusBadgeClass: this.getStatusBadgeClass(update.newStatus),
+                statusChangedLabel: describeStatusChange(update)
+            };
+        });
+        
+        this.refreshMatchHistory();
+        if (!changedMatch) {
+            return;
+        }
+        this.applyFiltersAndSort();
+        this.showToast(
+            'Match Updated',
+            `${changedMatch.familyName} was marked ${update.newStatus} by ${update.changedByName || 'another user'}`,
+            'info'
+        );
+    }
+    
+    /**
+     * Per-criterion breakdown for one match, grouped by priority
+     */
+    buildScoreDetails(match) {
+        const detailedScores = match.detailedScores || {};
+        return {
+            highPriorityDetails: this.processScoreDetails(detailedScores, 'High'),
+            mediumPriorityDetails: this.processScoreDetails(detailedScores, 'Medium'),
+            lowPriorityDetails: this.processScoreDetails(detailedScores, 'Low'),
+            detailsLoaded: true
+        };
+    }
+    
+    /**
+     * Open or close a card's score breakdown, building its details on first open
+     */
+    handleToggleDetails(event) {
+        const familyId = event.currentTarget.dataset.id;
+        this.matchResults = this.matchResults.map(match => {
+            if (match.familyId !== familyId) {
+                return match;
+            }
+            return {
+                ...match,
+                ...(match.detailsLoaded ? {} : this.buildScoreDetails(match)),
+                ...this.getDetailsToggle(!match.isExpanded),
+                isExpanded: !match.isExpanded
+            };
+        });
+        this.applyFiltersAndSort();
+    }
+    
+    getDetailsToggle(isExpanded) {
+        return isExpanded
+            ? { detailsToggleLabel: 'Hide Score Breakdown', detailsToggleIcon: 'utility:chevrondown' }
+            : { detailsToggleLabel: 'Show Score Breakdown', detailsToggleIcon: 'utility:chevronright' };
+    }
+    
+    /**
+     * Fetch the next page of results (datatable infinite scroll and the Load More button)
+     */
+    handleLoadMore(event) {
+        if (!this.hasMore || this.isLoadingMore) {
+            return;
+        }
+        
+        const datatable = event && event.target && event.target.tagName === 'LIGHTNING-DATATABLE'
+            ? event.target : null;
+        if (datatable) {
+            datatable.isLoading = true;
+        }
+        this.isLoadingMore = true;
+        
+        runReverseMatching({
+            childId: this.recordId,
+            pageSize: PAGE_SIZE,
+            pageOffset: this.matchResults.length,
+            includeNearMisses: this.includeNearMisses
+        })
+            .then(response => {
+                if (!response.success) {
+                    this.showToast('Error', response.message, 'error');
+                    return;
+                }
+                
+                this.processMatchResults(response.results || [], this.matchResults.length);
+                this.totalCount = response.totalCount;
+                this.hasMore = response.hasMore;
+                this.applyFiltersAndSort();
+                this.refreshMatchHistory();
+            })
+            .catch(error => {
+                this.showToast('Error', error.body ? error.body.message : 'Unknown error occurred', 'error');
+                this.logger.error('Error loading more matches', describeError(error));
+            })
+            .finally(() => {
+                this.isLoadingMore = false;
+                if (datatable) {
+                    datatable.isLoading = false;
+                }
+            });
+    }
+    
+    get loadedCountLabel() {
+        return `Showing ${this.matchResults.length} of ${this.totalCount} qualified matches`;
+    }
+    
     /**
      * Process score details for a priority level
      */
@@ -244,11 +799,15 @@ export default class FamilyMatchingComponent extends NavigationMixin(LightningEl
                     weight: scoreData.weight || 0,
                     score: scoreValue,
                     scoreDisplay: `${scoreValue.toFixed(0)}%`,
-                    preferenceValue: this.formatValue(scoreData.preferenceValue),
-                    childValue: this.formatValue(scoreData.childValue),
-                    explanation: this.generateExplanation({ ...scoreData, score: scoreValue }),
-                    badgeClass: this.getScoreBadgeClass(scoreValue),
-                    progressVariant: this.getProgressVariant(scoreValue)
+                    preferenceValue: formatValue(scoreData.preferenceValue),
+                    childValue: formatValue(scoreData.childValue),
+                    explanation: getCriterionExplanation(scoreData),
+                    badgeClass: getScoreBadgeClass(scoreValue),
+                    progressVariant: getProgressVariant(scoreValue),
+                    // Sibling group mode: score is the average, worstScore the weakest sibling's
+                    siblingScoreLabel: scoreData.worstScore != null
+                        ? `Average ${scoreValue.toFixed(0)}% • Worst ${Number(scoreData.worstScore).toFixed(0)}% (${scoreData.worstChildName})`
+                        : ''
                 };
                 
                 details.push(detail);
@@ -259,88 +818,63 @@ export default class FamilyMatchingComponent extends NavigationMixin(LightningEl
     }
     
     /**
-     * Format field values for display
+     * Rebuild the displayed results from the active filters and sort,
+     * then refresh the summary statistics to match
      */
-    formatValue(value) {
-        if (value === null || value === undefined || value === '') {
-            return 'No Preference';
-        }
-        
-        if (typeof value === 'boolean') {
-            return value ? 'Yes' : 'No';
-        }
-        
-        if (typeof value === 'number') {
-            return value.toString();
-        }
-        
-        return String(value);
+    applyFiltersAndSort() {
+        const filtered = applyFilters(this.matchResults, this.filters, FILTER_FIELDS);
+        const sortField = SORT_FIELD_MAP[this.sortedBy] || this.sortedBy;
+        this.displayedResults = sortResults(filtered, sortField, this.sortDirection);
+        this.calculateSummaryStats();
     }
     
     /**
-     * Generate explanation for score
+     * Handle filter changes from the filter bar
      */
-    generateExplanation(scoreData) {
-        const score = scoreData.score || 0;
-        
-        if (score === 100) {
-            return '✓ Perfect match - meets all criteria';
-        } else if (score >= 80) {
-            return '✓ Excellent match - very close to preferences';
-        } else if (score >= 60) {
-            return '⚠ Good match - some differences from preference';
-        } else if (score >= 40) {
-            return '⚠ Partial match - notable differences';
-        } else if (score > 0) {
-            return '⚠ Low match - significant differences';
-        } else {
-            return '✗ Does not match preference';
-        }
+    handleFilterChange(event) {
+        this.filters = event.detail.filters;
+        this.applyFiltersAndSort();
     }
     
     /**
-     * Calculate distance adjustment for display
+     * Handle sort changes from the filter bar
      */
-    calculateDistanceAdjustment(miles) {
-        if (miles < 10) return '+10 points (Very close)';
-        if (miles < 25) return '0 points (Close)';
-        if (miles < 50) return '-5 points (Moderate distance)';
-        return '-10 points (Far distance)';
+    handleSortChange(event) {
+        this.sortedBy = event.detail.sortedBy;
+        this.sortDirection = event.detail.sortDirection;
+        this.applyFiltersAndSort();
     }
     
     /**
-     * Get CSS class based on score
+     * Handle column sorting in table view
      */
-    getScoreClass(score) {
-        if (score >= 80) return 'slds-text-color_success';
-        if (score >= 60) return 'slds-text-color_default';
-        return 'slds-text-color_warning';
+    handleSort(event) {
+        this.sortedBy = event.detail.fieldName;
+        this.sortDirection = event.detail.sortDirection;
+        this.applyFiltersAndSort();
     }
     
-    /**
-     * Get badge class based on score
-     */
-    getScoreBadgeClass(score) {
-        if (score >= 80) return 'slds-theme_success';
-        if (score >= 60) return 'slds-theme_info';
-        if (score >= 40) return 'slds-theme_warning';
-        return 'slds-theme_error';
+    get licenseStatusOptions() {
+        return getFieldOptions(this.matchResults, 'licenseStatus');
     }
     
-    /**
-     * Get progress bar variant based on score
-     */
-    getProgressVariant(score) {
-        if (score >= 80) return 'success';
-        if (score >= 60) return 'base';
-        return 'warning';
+    get hasDisplayedResults() {
+        return this.displayedResults.length > 0;
+    }
+    
+    get unfilteredCount() {
+        return this.matchResults.length;
+    }
+    
+    get isFiltered() {
+        return this.displayedResults.length !== this.matchResults.length;
     }
     
     /**
-     * Calculate summary statistics
+     * Calculate summary statistics for the filtered results
      */
     calculateSummaryStats() {
-        if (this.matchResults.length === 0) {
+        if (this.displayedResults.length === 0) {
             this.totalMatches = 0;
             this.averageScore = 0;
             this.topScore = 0;
@@ -348,13 +882,13 @@ export default class FamilyMatchingComponent extends NavigationMixin(LightningEl
             return;
         }
         
-        this.totalMatches = this.matchResults.length;
+        this.totalMatches = this.displayedResults.length;
         
         let totalScore = 0;
         let maxScore = 0;
         let totalDistance = 0;
         
-        this.matchResults.forEach(match => {
+        this.displayedResults.forEach(match => {
             totalScore += match.overallScore;
             totalDistance += match.distanceMiles;
             if (match.overallScore > maxScore) {
@@ -362,9 +896,49 @@ export default class FamilyMatchingComponent extends NavigationMixin(LightningEl
             }
         });
         
-        this.averageScore = (totalScore / this.matchResults.length).toFixed(1);
+        this.averageScore = (totalScore / this.displayedResults.length).toFixed(1);
         this.topScore = maxScore.toFixed(1);
-        this.avgDistance = (totalDistance / this.matchResults.length).toFixed(1);
+        this.avgDistance = (totalDistance / this.displayedResults.length).toFixed(1);
+    }
+    
+    get isExportDisabled() {
+        return this.isLoading || !this.hasResults;
+    }
+    
+    /**
+     * Handle Export menu selection
+     */
+    handleExportSelect(event) {
+        switch (event.detail.value) {
+            case 'csv':
+                this.exportCsv();
+                break;
+            case 'report':
+                this.openPrintableReport();
+                break;
+            default:
+                break;
+        }
+    }
+    
+    /**
+     * Download the filtered, sorted results as CSV
+     */
+    exportCsv() {
+        const csv = buildCsv(this.displayedResults, EXPORT_COLUMNS);
+        downloadCsv(csv, buildFileName('family-matches'));
+    }
+    
+    /**
+     * Open the print-friendly report for this child
+     */
+    openPrintableReport() {
+        this[NavigationMixin.Navigate]({
+            type: 'standard__webPage',
+            attributes: {
+                url: getReportUrl(REPORT_TYPE_FAMILY, this.recordId, this.lastRunAt)
+            }
+        });
     }
     
     /**
@@ -375,6 +949,9 @@ export default class FamilyMatchingComponent extends NavigationMixin(LightningEl
         const row = event.detail.row;
         
         switch (action.name) {
+            case 'update_status':
+                this.openStatusModal(row);
+                break;
             case 'view_family':
                 this.navigateToFamily(row.familyId);
                 break;
@@ -384,6 +961,213 @@ export default class FamilyMatchingComponent extends NavigationMixin(LightningEl
         }
     }
     
+    /**
+     * Handle update status button click
+     */
+    handleUpdateStatus(event) {
+        const match = this.matchResults.find(m => m.familyId === event.target.dataset.id);
+        if (match) {
+            this.openStatusModal(match);
+        }
+    }
+    
+    openStatusModal(row) {
+        if (!row.matchResultId) {
+            this.showToast('Warning', 'This match has no saved match result to update', 'warning');
+            return;
+        }
+        this.statusMatchIds = [row.matchResultId];
+    }
+    
+    get showStatusModal() {
+        return this.statusMatchIds.length > 0;
+    }
+    
+    closeStatusModal() {
+        this.statusMatchIds = [];
+    }
+    
+    /**
+     * Update the card for each status saved in the status modal
+     */
+    handleStatusUpdate(event) {
+        const updatedStatuses = {};
+        const failures = [];
+        event.detail.results.forEach(result => {
+            if (result.success) {
+                updatedStatuses[result.matchResultId] = result.status;
+            } else {
+                failures.push(result);
+            }
+        });
+        
+        this.matchResults = this.matchResults.map(match => {
+            if (!(match.matchResultId in updatedStatuses)) {
+                return match;
+            }
+            const matchStatus = updatedStatuses[match.matchResultId];
+            return { ...match, matchStatus, statusBadgeClass: this.getStatusBadgeClass(matchStatus) };
+        });
+        this.applyFiltersAndSort();
+        this.refreshMatchHistory();
+        
+        if (failures.length === 0) {
+            this.showToast('Success', 'Status updated successfully', 'success');
+            return;
+        }
+        this.showToast('Error', failures.map(failure => failure.message).join(' | '), 'error');
+    }
+    
+    getStatusBadgeClass(status) {
+        return STATUS_BADGE_CLASSES[status] || '';
+    }
+    
+    /**
+     * Load the latest outreach to each family for this child
+     */
+    loadOutreachForChild() {
+        loadOutreach(this.recordId)
+            .then(outreachByFamily => {
+                this.outreachByFamily = outreachByFamily;
+                this.applyOutreach();
+            })
+            .catch(error => {
+                this.logger.error('Error loading family outreach', describeError(error));
+            });
+    }
+    
+    /**
+     * Copy the known outreach onto the match rows
+     */
+    applyOutreach() {
+        this.matchResults = this.matchResults.map(match => ({
+            ...match,
+            ...getOutreachDisplay(this.outreachByFamily[match.familyId])
+        }));
+        this.applyFiltersAndSort();
+    }
+    
+    /**
+     * Reflect the outreach selection on the match rows
+     */
+    syncSelectionState() {
+        this.matchResults = this.matchResults.map(match => ({
+            ...match,
+            isSelected: this.selectedFamilyIds.includes(match.familyId)
+        }));
+        this.applyFiltersAndSort();
+    }
+    
+    /**
+     * Handle checkbox selection in table view. Rows hidden by filters keep their selection.
+     */
+    handleRowSelection(event) {
+        const displayedIds = this.displayedResults.map(match => match.familyId);
+        const hiddenSelection = this.selectedFamilyIds.filter(id => !displayedIds.includes(id));
+        const visibleSelection = event.detail.selectedRows.map(row => row.familyId);
+        
+        this.selectedFamilyIds = [...hiddenSelection, ...visibleSelection];
+        this.syncSelectionState();
+    }
+    
+    /**
+     * Handle the Select checkbox on a match card
+     */
+    handleSelectChange(event) {
+        const familyId = event.target.dataset.id;
+        this.selectedFamilyIds = event.target.checked
+            ? [...this.selectedFamilyIds, familyId]
+            : this.selectedFamilyIds.filter(id => id !== familyId);
+        this.syncSelectionState();
+    }
+    
+    handleClearSelection() {
+        this.selectedFamilyIds = [];
+        this.syncSelectionState();
+    }
+    
+    get selectedCount() {
+        return this.selectedFamilyIds.length;
+    }
+    
+    get hasSelection() {
+        return this.selectedFamilyIds.length > 0;
+    }
+    
+    /**
+     * Open the outreach composer for every selected family
+     */
+    handleContactSelected() {
+        this.outreachFamilies = this.matchResults
+            .filter(match => this.selectedFamilyIds.includes(match.familyId))
+            .map(match => ({ familyId: match.familyId, familyName: match.familyName }));
+    }
+    
+    get showOutreachComposer() {
+        return this.outreachFamilies.length > 0;
+    }
+    
+    closeOutreachComposer() {
+        this.outreachFamilies = [];
+    }
+    
+    /**
+     * Show each sent outreach on its card and drop those families from the selection
+     */
+    handleOutreachSent(event) {
+        const sent = event.detail.results.filter(result => result.success);
+        if (sent.length === 0) {
+            return;
+        }
+        const outreachByFamily = { ...this.outreachByFamily };
+        sent.forEach(result => {
+            outreachByFamily[result.familyId] = result.outreach;
+        });
+        this.outreachByFamily = outreachByFamily;
+        
+        const sentIds = sent.map(result => result.familyId);
+        this.selectedFamilyIds = this.selectedFamilyIds.filter(id => !sentIds.includes(id));
+        this.applyOutreach();
+        this.syncSelectionState();
+        this.showToast('Success', `Outreach sent to ${sent.length === 1 ? '1 family' : `${sent.length} families`}`, 'success');
+    }
+    
+    /**
+     * Record a family's response from the menu on its card
+     */
+    handleOutreachResponse(event) {
+        recordOutreachResponse({ outreachId: event.target.dataset.id, response: event.detail.value })
+            .then(summary => {
+                this.outreachByFamily = { ...this.outreachByFamily, [summary.familyId]: summary };
+                this.applyOutreach();
+                this.showToast('Success', `Response recorded: ${summary.response}`, 'success');
+            })
+            .catch(error => {
+                this.logger.error('Error recording outreach response', describeError(error));
+                this.showToast('Error', error.body ? error.body.message : 'Unable to record the response', 'error');
+            });
+    }
+    
+    /**
+     * Show or hide this child's match history
+     */
+    handleHistoryToggle() {
+        this.showHistory = !this.showHistory;
+    }
+    
+    /**
+     * Refresh match history after results are saved or statuses change
+     */
+    refreshMatchHistory() {
+        if (this.wiredHistoryResult) {
+            refreshApex(this.wiredHistoryResult);
+        }
+    }
+    
+    handleHistoryViewFamily(event) {
+        this.navigateToFamily(event.detail.familyId);
+    }
+    
     /**
      * Handle view family button click
      */
@@ -0,0 +1,116 @@
+import { createLogger, loadLogSettings, resetLogSettings, scrub, describeError, REDACTED } from 'c/logger';
+import getLogSettings from '@salesforce/apex/ClientLogController.getLogSettings';
+import saveLogEntries from '@salesforce/apex/ClientLogController.saveLogEntries';
+
+jest.mock(
+    '@salesforce/apex/ClientLogController.getLogSettings',
+    () => {
+        return { default: jest.fn() };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/ClientLogController.saveLogEntries',
+    () => {
+        return { default: jest.fn() };
+    },
+    { virtual: true }
+);
+
+// Resolve pending promise callbacks
+const flushPromises = () => new Promise(process.nextTick);
+
+describe('c-logger', () => {
+    let consoleSpies;
+
+    beforeEach(() => {
+        saveLogEntries.mockResolvedValue(1);
+        consoleSpies = ['debug', 'info', 'warn', 'error'].map(method =>
+            jest.spyOn(console, method).mockImplementation(() => {})
+        );
+    });
+
+    afterEach(() => {
+        resetLogSettings();
+        consoleSpies.forEach(spy => spy.mockRestore());
+        jest.clearAllMocks();
+    });
+
+    it('suppresses debug output unless the user setting turns it on', async () => {
+        getLogSettings.mockResolvedValue({ debugEnabled: false, persistEnabled: false });
+        const logger = createLogger('testComponent');
+        await loadLogSettings();
+
+        logger.debug('hidden');
+        expect(console.debug).not.toHaveBeenCalled();
+
+        resetLogSettings();
+        getLogSettings.mockResolvedValue({ debugEnabled: true, persistEnabled: false });
+        await loadLogSettings();
+
+        logger.debug('shown', { count: 2 });
+        expect(console.debug).toHaveBeenCalledWith('[testComponent] shown', { count: 2 });
+    });
+
+    it('scrubs child identifying fields from logged data', () => {
+        const scrubbed = scrub({
+            childName: 'Jane Doe',
+            Birthdate__c: '2015-01-01',
+            overallScore: 82,
+            detailedScores: { age: { fieldName: 'Age__c', childValue: 9 } },
+            matches: [{ familyName: 'Smith', familyLatitude: 40.1 }]
+        });
+
+        expect(scrubbed.childName).toBe(REDACTED);
+        expect(scrubbed.Birthdate__c).toBe(REDACTED);
+        expect(scrubbed.overallScore).toBe(82);
+        expect(scrubbed.detailedScores.age.fieldName).toBe('Age__c');
+        expect(scrubbed.matches[0]).toEqual({ familyName: REDACTED, familyLatitude: REDACTED });
+    });
+
+    it('persists warn and error entries with context when persistence is on', async () => {
+        getLogSettings.mockResolvedValue({ debugEnabled: false, persistEnabled: true });
+        const logger = createLogger('testComponent');
+        logger.setContext({ recordId: 'a01000000000001' });
+        const correlationId = logger.startCorrelation();
+
+        logger.info('not persisted');
+        logger.error('Run failed', { childName: 'Jane Doe', status: 500 });
+        await flushPromises();
+
+        expect(saveLogEntries).toHaveBeenCalledTimes(1);
+        const entry = saveLogEntries.mock.calls[0][0].entries[0];
+        expect(entry).toMatchObject({
+            level: 'ERROR',
+            component: 'testComponent',
+            recordId: 'a01000000000001',
+            correlationId,
+            message: 'Run failed'
+        });
+        expect(JSON.parse(entry.details)).toEqual({ childName: REDACTED, status: 500 });
+        expect(console.error).toHaveBeenCalled();
+    });
+
+    it('does not persist entries when persistence is off', async () => {
+        getLogSettings.mockResolvedValue({ debugEnabled: true, persistEnabled: false });
+        const logger = createLogger('testComponent');
+
+        logger.warn('console only');
+        await flushPromises();
+
+        expect(console.warn).toHaveBeenCalledWith('[testComponent] console only');
+        expect(saveLogEntries).not.toHaveBeenCalled();
+    });
+
+    it('describes Apex and JavaScript errors', () => {
+        expect(describeError({ status: 500, body: { message: 'Apex failure', stackTrace: 'Class.X' } })).toEqual({
+            message: 'Apex failure',
+            exceptionType: undefined,
+            stack: 'Class.X',
+            status: 500
+        });
+        expect(describeError(new Error('boom')).message).toBe('boom');
+        expect(describeError(null).message).toBe('Unknown error');
+    });
+});
@@ -0,0 +1,256 @@
+import getLogSettings from '@salesforce/apex/ClientLogController.getLogSettings';
+import saveLogEntries from '@salesforce/apex/ClientLogController.saveLogEntries';
+
+/**
+ * Structured logging for the LWCs in this repo.
+ *
+ *   logger = createLogger('childMatchingComponent');
+ *   logger.setContext({ recordId: this.recordId });
+ *   logger.startCorrelation();
+ *   logger.debug('Run matching started', { pageSize });
+ *   logger.error('Run matching failed', error);
+ *
+ * Debug and info entries only reach the console when Client_Log_Setting__c turns
+ * debug on for the user. Warn and error entries always reach the console and are
+ * also saved as Client_Log__c records when persistence is on. Data passed with an
+ * entry is scrubbed of child and family identifying fields before it is written
+ * anywhere.
+ */
+
+export const LEVEL_DEBUG = 'DEBUG';
+export const LEVEL_INFO = 'INFO';
+export const LEVEL_WARN = 'WARN';
+export const LEVEL_ERROR = 'ERROR';
+
+export const REDACTED = '[REDACTED]';
+
+const CONSOLE_METHODS = {
+    [LEVEL_DEBUG]: 'debug',
+    [LEVEL_INFO]: 'info',
+    [LEVEL_WARN]: 'warn',
+    [LEVEL_ERROR]: 'error'
+};
+
+// Key fragments (lowercased, underscores removed) whose values identify a person
+const PII_KEY_FRAGMENTS = [
+    'name',
+    'birth',
+    'dob',
+    'ssn',
+    'socialsecurity',
+    'address',
+    'street',
+    'phone',
+    'email',
+    'latitude',
+    'longitude',
+    'medical',
+    'medication',
+    'diagnos',
+    'allerg',
+    'notes'
+];
+
+// Keys that match a fragment above but only ever hold field or criterion names
+const SAFE_KEYS = ['fieldname', 'criterionname'];
+
+// Depth past which nested data is summarized instead of copied
+const MAX_DEPTH = 6;
+
+const DEFAULT_SETTINGS = { debugEnabled: false, persistEnabled: false };
+
+let settings = { ...DEFAULT_SETTINGS };
+let loadPromise;
+
+/**
+ * Fetch the running user's logging switches once per page. Always resolves,
+ * leaving debug and persistence off if the settings cannot be read.
+ */
+export function loadLogSettings() {
+    if (!loadPromise) {
+        loadPromise = Promise.resolve()
+            .then(() => getLogSettings())
+            .then(result => {
+                settings = {
+                    debugEnabled: Boolean(result && result.debugEnabled),
+                    persistEnabled: Boolean(result && result.persistEnabled)
+                };
+                return { ...settings };
+            })
+            .catch(() => ({ ...settings }));
+    }
+    return loadPromise;
+}
+
+/**
+ * Restore the default switches and forget any loaded settings
+ */
+export function resetLogSettings() {
+    settings = { ...DEFAULT_SETTINGS };
+    loadPromise = undefined;
+}
+
+/**
+ * Random id tying together the entries of one user action
+ */
+export function newCorrelationId() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+        const random = Math.floor(Math.random() * 16);
+        const value = char === 'x' ? random : (random % 4) + 8;
+        return value.toString(16);
+    });
+}
+
+/**
+ * Message, status and stack of an Apex (error.body) or JavaScript error
+ */
+export function describeError(error) {
+    if (!error) {
+        return { message: 'Unknown error' };
+    }
+    if (typeof error === 'string') {
+        return { message: error };
+    }
+
+    const described = {};
+    if (error.body) {
+        const body = Array.isArray(error.body) ? error.body[0] || {} : error.body;
+        described.message = body.message;
+        described.exceptionType = body.exceptionType;
+        described.stack = body.stackTrace;
+        if (body.pageErrors && body.pageErrors.length > 0) {
+            described.pageErrors = body.pageErrors.map(pageError => pageError.message);
+        }
+        if (body.fieldErrors && Object.keys(body.fieldErrors).length > 0) {
+            described.fieldErrors = Object.keys(body.fieldErrors);
+        }
+        described.status = error.status;
+    } else {
+        described.message = error.message;
+        described.stack = error.stack;
+    }
+    if (!described.message) {
+        described.message = 'Unknown error';
+    }
+    return described;
+}
+
+/**
+ * Copy of a value with identifying fields replaced by REDACTED. Errors are
+ * reduced to their message and stack.
+ */
+export function scrub(value) {
+    return scrubValue(value, 0, new WeakSet());
+}
+
+/**
+ * Logger for one component. Record and correlation ids set on the logger are
+ * attached to every entry it writes.
+ */
+export function createLogger(component) {
+    const context = { recordId: null, correlationId: null };
+    loadLogSettings();
+
+    const write = level => (message, data) => writeEntry(level, component, context, message, data);
+
+    return {
+        debug: write(LEVEL_DEBUG),
+        info: write(LEVEL_INFO),
+        warn: write(LEVEL_WARN),
+        error: write(LEVEL_ERROR),
+        setContext(values) {
+            Object.assign(context, values);
+        },
+        startCorrelation() {
+            context.correlationId = newCorrelationId();
+            return context.correlationId;
+        },
+        get correlationId() {
+            return context.correlationId;
+        }
+    };
+}
+
+function writeEntry(level, component, context, message, data) {
+    const isProblem = level === LEVEL_WARN || level === LEVEL_ERROR;
+    if (!isProblem && !settings.debugEnabled) {
+        return;
+    }
+
+    const details = data === undefined ? undefined : scrub(data);
+    const prefix = context.correlationId ? `[${component}] [${context.correlationId}]` : `[${component}]`;
+    const method = CONSOLE_METHODS[level];
+    if (details === undefined) {
+        console[method](`${prefix} ${message}`);
+    } else {
+        console[method](`${prefix} ${message}`, details);
+    }
+
+    if (isProblem) {
+        persistEntry({
+            level,
+            component,
+            recordId: context.recordId,
+            correlationId: context.correlationId,
+            message,
+            details: details === undefined ? null : JSON.stringify(details),
+            loggedAt: new Date().toISOString()
+        });
+    }
+}
+
+function persistEntry(entry) {
+    loadLogSettings()
+        .then(() => {
+            if (settings.persistEnabled) {
+                return saveLogEntries({ entries: [entry] });
+            }
+            return null;
+        })
+        .catch(error => {
+            // Written straight to the console so a failing save cannot loop
+            console.warn('[logger] Unable to save log entry', describeError(error).message);
+        });
+}
+
+function scrubValue(value, depth, seen) {
+    if (value === null || value === undefined || typeof value !== 'object') {
+        return value;
+    }
+    if (value instanceof Error) {
+        return { message: value.message, stack: value.stack };
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (seen.has(value)) {
+        return '[Circular]';
+    }
+    if (depth >= MAX_DEPTH) {
+        return Array.isArray(value) ? `[Array(${value.length})]` : '[Object]';
+    }
+
+    seen.add(value);
+    let copy;
+    if (Array.isArray(value)) {
+        copy = value.map(item => scrubValue(item, depth + 1, seen));
+    } else {
+        copy = {};
+        Object.keys(value).forEach(key => {
+            copy[key] = isPiiKey(key) ? REDACTED : scrubValue(value[key], depth + 1, seen);
+        });
+    }
+    seen.delete(value);
+    return copy;
+}
+
+function isPiiKey(key) {
+    const normalized = key.toLowerCase().replace(/_/g, '');
+    if (SAFE_KEYS.includes(normalized)) {
+        return false;
+    }
+    return PII_KEY_FRAGMENTS.some(fragment => normalized.includes(fragment));
+}
@@ -0,0 +1,51 @@
+import { createElement } from '@lwc/engine-dom';
+import MatchAnalytics from 'c/matchAnalytics';
+
+const MATCHES = [
+    {
+        overallScore: 92,
+        distanceMiles: 4,
+        detailedScores: {
+            'School Name': { criterionName: 'School Name', priority: 'Low', weight: 3, score: '0.00' }
+        }
+    },
+    {
+        overallScore: 55,
+        distanceMiles: 60,
+        detailedScores: {
+            'School Name': { criterionName: 'School Name', priority: 'Low', weight: 3, score: '100.00' }
+        }
+    }
+];
+
+describe('c-match-analytics', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    it('renders nothing without matches', () => {
+        const element = createElement('c-match-analytics', { is: MatchAnalytics });
+        element.matches = [];
+        document.body.appendChild(element);
+
+        expect(element.shadowRoot.querySelector('.slds-section')).toBeNull();
+    });
+
+    it('shows score, distance and criterion distributions when expanded', async () => {
+        const element = createElement('c-match-analytics', { is: MatchAnalytics });
+        element.matches = MATCHES;
+        document.body.appendChild(element);
+
+        element.shadowRoot.querySelector('button').click();
+        await Promise.resolve();
+
+        const rows = element.shadowRoot.querySelectorAll('.analytics-row');
+        // 10 score buckets, 4 distance bands, 1 criterion
+        expect(rows).toHaveLength(15);
+        expect(element.shadowRoot.querySelector('.analytics-bar_excellent').style.width).toBe('100%');
+        expect(element.shadowRoot.querySelector('.analytics-outcome').textContent).toContain('50% zero');
+    });
+});
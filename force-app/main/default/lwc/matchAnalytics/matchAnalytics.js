@@ -0,0 +1,67 @@
+import { LightningElement, api, track } from 'lwc';
+import { getScoreHistogram, getDistanceDistribution, getCriterionOutcomes } from 'c/matchAnalyticsService';
+
+export default class MatchAnalytics extends LightningElement {
+    @api matches = []; // Displayed match results with overallScore, distanceMiles and detailedScores
+
+    @track isExpanded = false;
+
+    get hasMatches() {
+        return this.matches && this.matches.length > 0;
+    }
+
+    get sectionClass() {
+        return this.isExpanded ? 'slds-section slds-is-open' : 'slds-section';
+    }
+
+    get toggleIcon() {
+        return this.isExpanded ? 'utility:chevrondown' : 'utility:chevronright';
+    }
+
+    /**
+     * Score buckets with bar widths relative to the fullest bucket
+     */
+    get scoreBuckets() {
+        return withBarStyles(getScoreHistogram(this.matches)).map(bucket => ({
+            ...bucket,
+            barClass: `analytics-bar analytics-bar_${bucket.band}`
+        }));
+    }
+
+    get distanceBands() {
+        return withBarStyles(getDistanceDistribution(this.matches)).map(band => ({
+            ...band,
+            barClass: 'analytics-bar analytics-bar_distance'
+        }));
+    }
+
+    /**
+     * Criteria as stacked full / partial / zero bars
+     */
+    get criterionOutcomes() {
+        return getCriterionOutcomes(this.matches).map(outcome => ({
+            ...outcome,
+            fullStyle: `width: ${outcome.fullPercent}%`,
+            partialStyle: `width: ${outcome.partialPercent}%`,
+            zeroStyle: `width: ${outcome.zeroPercent}%`,
+            summary: `${outcome.fullPercent}% full marks, ${outcome.zeroPercent}% scored 0 (${outcome.total} matches)`
+        }));
+    }
+
+    get hasCriterionOutcomes() {
+        return this.criterionOutcomes.length > 0;
+    }
+
+    toggleExpanded() {
+        this.isExpanded = !this.isExpanded;
+    }
+}
+
+function withBarStyles(rows) {
+    const maxCount = Math.max(...rows.map(row => row.count), 1);
+    return rows.map(row => ({
+        ...row,
+        barStyle: `width: ${Math.round(row.count / maxCount * 100)}%`,
+        countLabel: `${row.count} (${row.percent}%)`
+    }));
+}
@@ -0,0 +1,64 @@
+import { getScoreHistogram, getDistanceDistribution, getCriterionOutcomes } from 'c/matchAnalyticsService';
+
+const buildMatch = (overallScore, distanceMiles, ageScore, schoolScore) => ({
+    overallScore: overallScore,
+    distanceMiles: distanceMiles,
+    detailedScores: {
+        'Preferred Age Range': { criterionName: 'Preferred Age Range', priority: 'High', weight: 8, score: ageScore },
+        'School Name': { criterionName: 'School Name', priority: 'Low', weight: 3, score: schoolScore }
+    }
+});
+
+const MATCHES = [
+    buildMatch(100, 4, '100.00', '0.00'),
+    buildMatch(85.5, 12, '100.00', '0.00'),
+    buildMatch(81, 30, '50.00', '100.00'),
+    buildMatch(42, 75, '0.00', '0.00')
+];
+
+describe('c-match-analytics-service', () => {
+    it('buckets overall scores by ten points, highest first', () => {
+        const histogram = getScoreHistogram(MATCHES);
+
+        expect(histogram).toHaveLength(10);
+        expect(histogram[0]).toEqual({ key: '90', label: '90-100', band: 'excellent', count: 1, percent: 25 });
+        expect(histogram[1]).toEqual(expect.objectContaining({ label: '80-89', count: 2, percent: 50 }));
+        expect(histogram.find(bucket => bucket.key === '40')).toEqual(
+            expect.objectContaining({ label: '40-49', band: 'fair', count: 1 })
+        );
+        expect(histogram.reduce((total, bucket) => total + bucket.count, 0)).toBe(4);
+    });
+
+    it('counts distances in the configured distance bands', () => {
+        expect(getDistanceDistribution(MATCHES).map(band => [band.label, band.count])).toEqual([
+            ['Under 10 mi', 1],
+            ['10-25 mi', 1],
+            ['25-50 mi', 1],
+            ['50+ mi', 1]
+        ]);
+    });
+
+    it('lists the most eliminating criteria first', () => {
+        const outcomes = getCriterionOutcomes(MATCHES);
+
+        expect(outcomes.map(outcome => outcome.name)).toEqual(['School Name', 'Preferred Age Range']);
+        expect(outcomes[0]).toEqual(expect.objectContaining({
+            priority: 'Low',
+            total: 4,
+            fullCount: 1,
+            zeroCount: 3,
+            fullPercent: 25,
+            zeroPercent: 75
+        }));
+        expect(outcomes[1]).toEqual(expect.objectContaining({
+            fullPercent: 50,
+            partialPercent: 25,
+            zeroPercent: 25
+        }));
+    });
+
+    it('handles no matches', () => {
+        expect(getScoreHistogram([]).every(bucket => bucket.count === 0 && bucket.percent === 0)).toBe(true);
+        expect(getCriterionOutcomes(undefined)).toEqual([]);
+    });
+});
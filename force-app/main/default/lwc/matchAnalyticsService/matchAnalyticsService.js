@@ -0,0 +1,114 @@
+import { getScoreBand, getDistanceBandsMiles } from 'c/scoringPresentation';
+
+/**
+ * Distribution statistics for the matching summary panel: overall scores in
+ * 10-point buckets, distances in the matching settings' distance bands, and for
+ * each criterion how many matches scored full marks versus nothing. Criteria that
+ * score 0 for many matches are the preference settings eliminating candidates.
+ */
+
+const SCORE_BUCKET_SIZE = 10;
+const SCORE_BUCKET_COUNT = 10;
+
+/**
+ * Overall score buckets, highest first: [{ key, label, band, count, percent }]
+ */
+export function getScoreHistogram(matches) {
+    const rows = matches || [];
+    const counts = new Array(SCORE_BUCKET_COUNT).fill(0);
+
+    rows.forEach(match => {
+        const score = Math.max(0, toNumber(match.overallScore));
+        // 100 belongs to the top bucket rather than one of its own
+        counts[Math.min(Math.floor(score / SCORE_BUCKET_SIZE), SCORE_BUCKET_COUNT - 1)]++;
+    });
+
+    return counts
+        .map((count, index) => {
+            const low = index * SCORE_BUCKET_SIZE;
+            const high = index === SCORE_BUCKET_COUNT - 1 ? 100 : low + SCORE_BUCKET_SIZE - 1;
+            return {
+                key: String(low),
+                label: `${low}-${high}`,
+                band: getScoreBand(low),
+                count: count,
+                percent: toPercent(count, rows.length)
+            };
+        })
+        .reverse();
+}
+
+/**
+ * Matches per distance band, nearest first: [{ key, label, count, percent }]
+ */
+export function getDistanceDistribution(matches) {
+    const rows = matches || [];
+    const [nearMiles, closeMiles, moderateMiles] = getDistanceBandsMiles();
+    const bands = [
+        { key: 'near', label: `Under ${nearMiles} mi`, limit: nearMiles },
+        { key: 'close', label: `${nearMiles}-${closeMiles} mi`, limit: closeMiles },
+        { key: 'moderate', label: `${closeMiles}-${moderateMiles} mi`, limit: moderateMiles },
+        { key: 'far', label: `${moderateMiles}+ mi`, limit: Infinity }
+    ];
+    const counts = bands.map(() => 0);
+
+    rows.forEach(match => {
+        const miles = toNumber(match.distanceMiles);
+        counts[bands.findIndex(band => miles < band.limit)]++;
+    });
+
+    return bands.map((band, index) => ({
+        key: band.key,
+        label: band.label,
+        count: counts[index],
+        percent: toPercent(counts[index], rows.length)
+    }));
+}
+
+/**
+ * Per-criterion outcomes across the matches that were scored on the criterion,
+ * most eliminating first:
+ * [{ name, priority, total, fullCount, partialCount, zeroCount, fullPercent, partialPercent, zeroPercent }]
+ */
+export function getCriterionOutcomes(matches) {
+    const outcomes = {};
+
+    (matches || []).forEach(match => {
+        const detailedScores = match.detailedScores || {};
+        Object.keys(detailedScores).forEach(key => {
+            const scoreData = detailedScores[key];
+            const name = scoreData.criterionName || key;
+            if (!outcomes[name]) {
+                outcomes[name] = { name, priority: scoreData.priority, total: 0, fullCount: 0, partialCount: 0, zeroCount: 0 };
+            }
+
+            const outcome = outcomes[name];
+            const score = toNumber(scoreData.score);
+            outcome.total++;
+            if (score >= 100) {
+                outcome.fullCount++;
+            } else if (score <= 0) {
+                outcome.zeroCount++;
+            } else {
+                outcome.partialCount++;
+            }
+        });
+    });
+
+    return Object.values(outcomes)
+        .map(outcome => ({
+            ...outcome,
+            fullPercent: toPercent(outcome.fullCount, outcome.total),
+            partialPercent: toPercent(outcome.partialCount, outcome.total),
+            zeroPercent: toPercent(outcome.zeroCount, outcome.total)
+        }))
+        .sort((a, b) => b.zeroPercent - a.zeroPercent || a.name.localeCompare(b.name));
+}
+
+function toPercent(count, total) {
+    return total > 0 ? Math.round(count / total * 100) : 0;
+}
+
+function toNumber(value) {
+    return typeof value === 'string' ? parseFloat(value) : (value || 0);
+}
@@ -0,0 +1,72 @@
+import { createElement } from '@lwc/engine-dom';
+import MatchComparisonPanel from 'c/matchComparisonPanel';
+
+const MATCHES = [
+    {
+        childId: 'a01000000000001',
+        childName: 'Ava Smith',
+        overallScore: 88.5,
+        highPriorityScore: 90,
+        mediumPriorityScore: 80,
+        lowPriorityScore: 100,
+        distanceMiles: 12.4,
+        flags: [],
+        matchReasons: ['Preferred Age Range', 'Gender Preference'],
+        detailedScores: {
+            'Preferred Age Range': { criterionName: 'Preferred Age Range', priority: 'High', score: '100.00' }
+        }
+    },
+    {
+        childId: 'a01000000000002',
+        childName: 'Ben Jones',
+        overallScore: 72.1,
+        highPriorityScore: 70,
+        mediumPriorityScore: 80,
+        lowPriorityScore: 60,
+        distanceMiles: 4.2,
+        flags: ['🏥 Therapy required'],
+        matchReasons: ['Gender Preference'],
+        detailedScores: {
+            'Preferred Age Range': { criterionName: 'Preferred Age Range', priority: 'High', score: '50.00' }
+        }
+    }
+];
+
+describe('c-match-comparison-panel', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    it('renders one column per compared match and highlights winners', () => {
+        const element = createElement('c-match-comparison-panel', {
+            is: MatchComparisonPanel
+        });
+        element.matches = MATCHES;
+        document.body.appendChild(element);
+
+        const headers = element.shadowRoot.querySelectorAll('thead th');
+        expect(headers.length).toBe(3);
+
+        // Overall, high priority, low priority, age range, distance, flags, reasons
+        const winners = element.shadowRoot.querySelectorAll('td.comparison-winner');
+        expect(winners.length).toBe(7);
+    });
+
+    it('dispatches remove with the match id', () => {
+        const element = createElement('c-match-comparison-panel', {
+            is: MatchComparisonPanel
+        });
+        element.matches = MATCHES;
+        document.body.appendChild(element);
+
+        const handler = jest.fn();
+        element.addEventListener('remove', handler);
+        element.shadowRoot.querySelector('lightning-button-icon').click();
+
+        expect(handler).toHaveBeenCalled();
+        expect(handler.mock.calls[0][0].detail.id).toBe('a01000000000001');
+    });
+});
@@ -0,0 +1,213 @@
+import { LightningElement, api } from 'lwc';
+
+const PRIORITY_LEVELS = ['High', 'Medium', 'Low'];
+
+export default class MatchComparisonPanel extends LightningElement {
+    @api matches = []; // Processed match results selected for comparison
+    @api keyField = 'childId';
+    @api labelField = 'childName';
+
+    /**
+     * One column per compared match
+     */
+    get columns() {
+        return (this.matches || []).map(match => ({
+            key: match[this.keyField],
+            label: match[this.labelField],
+            scoreDisplay: this.formatScore(match.overallScore)
+        }));
+    }
+
+    /**
+     * Sections of comparison rows, each row holding one cell per match
+     */
+    get sections() {
+        const matches = this.matches || [];
+        if (matches.length === 0) {
+            return [];
+        }
+
+        const sections = [
+            {
+                key: 'overall',
+                label: 'Overall',
+                rows: [
+                    this.buildScoreRow('overallScore', 'Overall Score', matches.map(m => m.overallScore)),
+                    this.buildScoreRow('highPriorityScore', 'High Priority Score', matches.map(m => m.highPriorityScore)),
+                    this.buildScoreRow('mediumPriorityScore', 'Medium Priority Score', matches.map(m => m.mediumPriorityScore)),
+                    this.buildScoreRow('lowPriorityScore', 'Low Priority Score', matches.map(m => m.lowPriorityScore))
+                ]
+            }
+        ];
+
+        PRIORITY_LEVELS.forEach(priority => {
+            const rows = this.getCriterionNames(matches, priority).map(name =>
+                this.buildScoreRow(
+                    'criterion-' + name,
+                    name,
+                    matches.map(m => this.getCriterionScore(m, name))
+                )
+            );
+
+            if (rows.length > 0) {
+                sections.push({
+                    key: 'priority-' + priority,
+                    label: priority + ' Priority Criteria',
+                    rows: rows
+                });
+            }
+        });
+
+        sections.push({
+            key: 'logistics',
+            label: 'Distance, Flags & Reasons',
+            rows: [
+                this.buildDistanceRow(matches),
+                this.buildListRow('flags', 'Flags', matches.map(m => m.flags || []), false),
+                this.buildListRow('matchReasons', 'Match Reasons', matches.map(m => m.matchReasons || []), true)
+            ]
+        });
+
+        return sections;
+    }
+
+    get hasMatches() {
+        return this.matches && this.matches.length > 0;
+    }
+
+    /**
+     * Collect criterion names for a priority level across all compared matches
+     */
+    getCriterionNames(matches, priorityLevel) {
+        const names = [];
+
+        matches.forEach(match => {
+            const detailedScores = match.detailedScores || {};
+            Object.keys(detailedScores).forEach(key => {
+                const scoreData = detailedScores[key];
+                const name = scoreData.criterionName || key;
+                if (scoreData.priority === priorityLevel && !names.includes(name)) {
+                    names.push(name);
+                }
+            });
+        });
+
+        return names;
+    }
+
+    /**
+     * Read a criterion score from detailedScores, or null if not scored
+     */
+    getCriterionScore(match, criterionName) {
+        const detailedScores = match.detailedScores || {};
+        const key = Object.keys(detailedScores).find(k =>
+            (detailedScores[k].criterionName || k) === criterionName
+        );
+
+        if (!key) {
+            return null;
+        }
+
+        const score = detailedScores[key].score;
+        return typeof score === 'string' ? parseFloat(score) : (score || 0);
+    }
+
+    /**
+     * Build a row where the highest score wins
+     */
+    buildScoreRow(key, label, values) {
+        const winner = this.findBest(values, (a, b) => a > b);
+
+        return {
+            key: key,
+            label: label,
+            cells: values.map((value, index) => ({
+                key: key + '-' + index,
+                display: value === null || value === undefined ? '—' : this.formatScore(value),
+                className: this.getCellClass(winner !== null && value === winner)
+            }))
+        };
+    }
+
+    /**
+     * Build the distance row where the shortest distance wins
+     */
+    buildDistanceRow(matches) {
+        const values = matches.map(m => m.distanceMiles);
+        const winner = this.findBest(values, (a, b) => a < b);
+
+        return {
+            key: 'distanceMiles',
+            label: 'Distance (mi)',
+            cells: values.map((value, index) => ({
+                key: 'distanceMiles-' + index,
+                display: value === null || value === undefined ? '—' : Number(value).toFixed(1),
+                className: this.getCellClass(winner !== null && value === winner)
+            }))
+        };
+    }
+
+    /**
+     * Build a list row; fewer flags win, more match reasons win
+     */
+    buildListRow(key, label, lists, moreIsBetter) {
+        const counts = lists.map(list => list.length);
+        const winner = this.findBest(counts, moreIsBetter ? (a, b) => a > b : (a, b) => a < b);
+
+        return {
+            key: key,
+            label: label,
+            isList: true,
+            cells: lists.map((list, index) => ({
+                key: key + '-' + index,
+                items: list.map((item, itemIndex) => ({ key: key + '-' + index + '-' + itemIndex, label: item })),
+                display: list.length === 0 ? 'None' : '',
+                className: this.getCellClass(winner !== null && counts[index] === winner)
+            }))
+        };
+    }
+
+    /**
+     * Find the winning value, or null when every match ties
+     */
+    findBest(values, isBetter) {
+        const numericValues = values.filter(v => v !== null && v !== undefined);
+        if (numericValues.length < 2) {
+            return null;
+        }
+
+        const allEqual = numericValues.every(v => v === numericValues[0]);
+        if (allEqual) {
+            return null;
+        }
+
+        return numericValues.reduce((best, v) => (isBetter(v, best) ? v : best));
+    }
+
+    getCellClass(isWinner) {
+        return isWinner ? 'comparison-cell comparison-winner' : 'comparison-cell';
+    }
+
+    formatScore(value) {
+        const numericValue = typeof value === 'string' ? parseFloat(value) : (value || 0);
+        return numericValue.toFixed(1);
+    }
+
+    /**
+     * Remove a match from the comparison
+     */
+    handleRemove(event) {
+        this.dispatchEvent(
+            new CustomEvent('remove', {
+                detail: { id: event.currentTarget.dataset.id }
+            })
+        );
+    }
+
+    /**
+     * Clear the whole comparison
+     */
+    handleClear() {
+        this.dispatchEvent(new CustomEvent('clear'));
+    }
+}
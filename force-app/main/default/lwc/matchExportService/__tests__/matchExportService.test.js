@@ -0,0 +1,45 @@
+import { buildCsv, buildFileName, getReportUrl, getCriterionNames } from 'c/matchExportService';
+
+const RESULTS = [
+    {
+        childName: 'Ava "AJ" Smith',
+        overallScore: 88.5,
+        flags: ['Sibling group', 'Therapy required'],
+        detailedScores: {
+            'Preferred Age Range': { criterionName: 'Preferred Age Range', score: '100.00' },
+            'Gender Preference': { criterionName: 'Gender Preference', score: '0.00' }
+        }
+    },
+    {
+        childName: 'Ben Jones',
+        overallScore: 72.1,
+        flags: [],
+        detailedScores: {
+            'Preferred Age Range': { criterionName: 'Preferred Age Range', score: '50.00' }
+        }
+    }
+];
+
+const COLUMNS = [
+    { label: 'Child Name', fieldName: 'childName' },
+    { label: 'Match Score', fieldName: 'overallScore' },
+    { label: 'Flags', fieldName: 'flags' }
+];
+
+describe('c-match-export-service', () => {
+    it('adds one column per criterion and escapes values', () => {
+        expect(getCriterionNames(RESULTS)).toEqual(['Preferred Age Range', 'Gender Preference']);
+
+        const lines = buildCsv(RESULTS, COLUMNS).split('\r\n');
+        expect(lines[0]).toBe('Child Name,Match Score,Flags,Preferred Age Range Score,Gender Preference Score');
+        expect(lines[1]).toBe('"Ava ""AJ"" Smith",88.5,Sibling group; Therapy required,100,0');
+        expect(lines[2]).toBe('Ben Jones,72.1,,50,');
+    });
+
+    it('builds timestamped file names and report urls', () => {
+        expect(buildFileName('child-matches', new Date(2024, 4, 1, 14, 5))).toBe('child-matches_2024-05-01_1405.csv');
+        expect(getReportUrl('family', 'a01', '2024-05-01T14:05:00.000Z')).toBe(
+            '/apex/MatchResultsReport?type=family&id=a01&runAt=2024-05-01T14%3A05%3A00.000Z'
+        );
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * Shared export helpers for match results: CSV download and the
+ * print-friendly MatchResultsReport Visualforce page.
+ */
+
+const REPORT_PAGE = '/apex/MatchResultsReport';
+
+export const REPORT_TYPE_CHILD = 'child';
+export const REPORT_TYPE_FAMILY = 'family';
+export const REPORT_TYPE_MATRIX = 'matrix';
+
+/**
+ * Criterion names across all results, in first-seen order
+ */
+export function getCriterionNames(results) {
+    const names = [];
+
+    (results || []).forEach(result => {
+        const detailedScores = result.detailedScores || {};
+        Object.keys(detailedScores).forEach(key => {
+            const name = detailedScores[key].criterionName || key;
+            if (!names.includes(name)) {
+                names.push(name);
+            }
+        });
+    });
+
+    return names;
+}
+
+/**
+ * Build CSV text with one row per match.
+ * baseColumns is a list of { label, fieldName }; array values are joined with '; '.
+ * One extra column is added per criterion found in detailedScores.
+ */
+export function buildCsv(results, baseColumns) {
+    const criterionNames = getCriterionNames(results);
+    const header = [
+        ...baseColumns.map(column => column.label),
+        ...criterionNames.map(name => name + ' Score')
+    ];
+
+    const rows = (results || []).map(result => {
+        const baseValues = baseColumns.map(column => result[column.fieldName]);
+        const criterionValues = criterionNames.map(name => getCriterionScore(result, name));
+        return [...baseValues, ...criterionValues];
+    });
+
+    return [header, ...rows]
+        .map(row => row.map(escapeCsvValue).join(','))
+        .join('\r\n');
+}
+
+/**
+ * Trigger a browser download of CSV text
+ */
+export function downloadCsv(csv, fileName) {
+    const link = document.createElement('a');
+    link.href = 'data:text/csv;charset=utf-8,' + encodeURIComponent('\uFEFF' + csv);
+    link.target = '_self';
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+}
+
+/**
+ * File name with a sortable timestamp, e.g. child-matches_2024-05-01_1430.csv
+ */
+export function buildFileName(prefix, date) {
+    const d = date || new Date();
+    const pad = value => String(value).padStart(2, '0');
+    const stamp = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}_${pad(d.getHours())}${pad(d.getMinutes())}`;
+    return `${prefix}_${stamp}.csv`;
+}
+
+/**
+ * URL of the printable report for a matching run
+ */
+export function getReportUrl(reportType, recordId, runAt) {
+    let url = `${REPORT_PAGE}?type=${encodeURIComponent(reportType)}&id=${encodeURIComponent(recordId)}`;
+    if (runAt) {
+        url += '&runAt=' + encodeURIComponent(runAt);
+    }
+    return url;
+}
+
+function getCriterionScore(result, criterionName) {
+    const detailedScores = result.detailedScores || {};
+    const key = Object.keys(detailedScores).find(k =>
+        (detailedScores[k].criterionName || k) === criterionName
+    );
+
+    if (!key) {
+        return '';
+    }
+
+    const score = detailedScores[key].score;
+    return typeof score === 'string' ? parseFloat(score) : score;
+}
+
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    const text = Array.isArray(value) ? value.join('; ') : String(value);
+    if (/[",\r\n]/.test(text)) {
+        return '"' + text.replace(/"/g, '""') + '"';
+    }
+    return text;
+}
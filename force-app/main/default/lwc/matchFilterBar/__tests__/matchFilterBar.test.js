@@ -0,0 +1,43 @@
+import { createElement } from '@lwc/engine-dom';
+import MatchFilterBar from 'c/matchFilterBar';
+
+describe('c-match-filter-bar', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    it('dispatches filterchange with numeric values parsed', () => {
+        const element = createElement('c-match-filter-bar', {
+            is: MatchFilterBar
+        });
+        document.body.appendChild(element);
+
+        const handler = jest.fn();
+        element.addEventListener('filterchange', handler);
+
+        const minScoreInput = element.shadowRoot.querySelector('lightning-input[data-name="minScore"]');
+        minScoreInput.dispatchEvent(new CustomEvent('change', { detail: { value: '70' } }));
+
+        expect(handler).toHaveBeenCalled();
+        expect(handler.mock.calls[0][0].detail.filters.minScore).toBe(70);
+    });
+
+    it('dispatches sortchange keeping the current direction', () => {
+        const element = createElement('c-match-filter-bar', {
+            is: MatchFilterBar
+        });
+        element.sortDirection = 'asc';
+        document.body.appendChild(element);
+
+        const handler = jest.fn();
+        element.addEventListener('sortchange', handler);
+
+        const sortInput = element.shadowRoot.querySelector('lightning-combobox[data-name="sortedBy"]');
+        sortInput.dispatchEvent(new CustomEvent('change', { detail: { value: 'distanceMiles' } }));
+
+        expect(handler.mock.calls[0][0].detail).toEqual({ sortedBy: 'distanceMiles', sortDirection: 'asc' });
+    });
+});
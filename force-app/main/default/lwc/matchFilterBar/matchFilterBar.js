@@ -0,0 +1,111 @@
+import { LightningElement, api, track } from 'lwc';
+import {
+    getDefaultFilters,
+    hasActiveFilters,
+    FLAG_FILTER_ALL,
+    FLAG_FILTER_HAS_FLAGS,
+    FLAG_FILTER_NO_FLAGS
+} from 'c/matchFilterService';
+
+const NUMERIC_FILTERS = ['minScore', 'maxDistance', 'rangeMin', 'rangeMax'];
+
+export default class MatchFilterBar extends LightningElement {
+    @api rangeLabel = 'Age'; // Label for the numeric range filter (Age or Capacity)
+    @api categoryLabel = 'Gender'; // Label for the category filter (Gender or License Status)
+    @api categoryOptions = [];
+    @api availabilityLabel = ''; // Shows an "available only" checkbox when set, e.g. "Can take the child today"
+    @api sortOptions = [];
+    @api sortedBy = '';
+    @api sortDirection = 'desc';
+
+    @track currentFilters = getDefaultFilters();
+
+    flagOptions = [
+        { label: 'All', value: FLAG_FILTER_ALL },
+        { label: 'Has Flags', value: FLAG_FILTER_HAS_FLAGS },
+        { label: 'No Flags', value: FLAG_FILTER_NO_FLAGS }
+    ];
+
+    directionOptions = [
+        { label: 'Descending', value: 'desc' },
+        { label: 'Ascending', value: 'asc' }
+    ];
+
+    @api
+    get filters() {
+        return this.currentFilters;
+    }
+    set filters(value) {
+        this.currentFilters = { ...getDefaultFilters(), ...(value || {}) };
+    }
+
+    get categoryComboboxOptions() {
+        return [{ label: 'All', value: '' }, ...(this.categoryOptions || [])];
+    }
+
+    get minRangeLabel() {
+        return 'Min ' + this.rangeLabel;
+    }
+
+    get maxRangeLabel() {
+        return 'Max ' + this.rangeLabel;
+    }
+
+    get isResetDisabled() {
+        return !hasActiveFilters(this.currentFilters);
+    }
+
+    /**
+     * Handle a change to any filter input
+     */
+    handleFilterChange(event) {
+        const name = event.target.dataset.name;
+        let value = event.detail.value;
+
+        if (NUMERIC_FILTERS.includes(name)) {
+            value = value === '' || value === null || value === undefined ? null : parseFloat(value);
+        }
+
+        this.currentFilters = { ...this.currentFilters, [name]: value };
+        this.notifyFilterChange();
+    }
+
+    /**
+     * Handle the available-only checkbox
+     */
+    handleAvailabilityChange(event) {
+        this.currentFilters = { ...this.currentFilters, availableOnly: event.target.checked };
+        this.notifyFilterChange();
+    }
+
+    /**
+     * Handle sort field or direction change
+     */
+    handleSortChange(event) {
+        const name = event.target.dataset.name;
+        const sortedBy = name === 'sortedBy' ? event.detail.value : this.sortedBy;
+        const sortDirection = name === 'sortDirection' ? event.detail.value : this.sortDirection;
+
+        this.dispatchEvent(
+            new CustomEvent('sortchange', {
+                detail: { sortedBy, sortDirection }
+            })
+        );
+    }
+
+    /**
+     * Clear all filters
+     */
+    handleReset() {
+        this.currentFilters = getDefaultFilters();
+        this.notifyFilterChange();
+    }
+
+    notifyFilterChange() {
+        this.dispatchEvent(
+            new CustomEvent('filterchange', {
+                detail: { filters: { ...this.currentFilters } }
+            })
+        );
+    }
+}
@@ -0,0 +1,67 @@
+import {
+    applyFilters,
+    sortResults,
+    getFieldOptions,
+    getDefaultFilters,
+    hasActiveFilters,
+    FLAG_FILTER_HAS_FLAGS,
+    FLAG_FILTER_NO_FLAGS
+} from 'c/matchFilterService';
+
+const FIELD_CONFIG = { rangeField: 'childAge', categoryField: 'childGender' };
+
+const RESULTS = [
+    { childId: '1', childName: 'Ava', childAge: 6, childGender: 'Female', overallScore: 88.5, distanceMiles: 12.4, flags: [] },
+    { childId: '2', childName: 'ben', childAge: 11, childGender: 'Male', overallScore: 72.1, distanceMiles: 4.2, flags: ['Therapy'] },
+    { childId: '3', childName: 'Cara', childAge: 15, childGender: 'Female', overallScore: 55, distanceMiles: 40, flags: [] }
+];
+
+describe('c-match-filter-service', () => {
+    it('returns every result when no filters are active', () => {
+        const filters = getDefaultFilters();
+        expect(hasActiveFilters(filters)).toBe(false);
+        expect(applyFilters(RESULTS, filters, FIELD_CONFIG).length).toBe(3);
+    });
+
+    it('combines score, distance, range, flag and category filters', () => {
+        const filters = { ...getDefaultFilters(), minScore: 60, maxDistance: 20 };
+        expect(applyFilters(RESULTS, filters, FIELD_CONFIG).map(r => r.childId)).toEqual(['1', '2']);
+
+        const ranged = { ...getDefaultFilters(), rangeMin: 10, rangeMax: 14 };
+        expect(applyFilters(RESULTS, ranged, FIELD_CONFIG).map(r => r.childId)).toEqual(['2']);
+
+        const flagged = { ...getDefaultFilters(), flagFilter: FLAG_FILTER_HAS_FLAGS };
+        expect(applyFilters(RESULTS, flagged, FIELD_CONFIG).map(r => r.childId)).toEqual(['2']);
+
+        const unflagged = { ...getDefaultFilters(), flagFilter: FLAG_FILTER_NO_FLAGS, category: 'Female' };
+        expect(hasActiveFilters(unflagged)).toBe(true);
+        expect(applyFilters(RESULTS, unflagged, FIELD_CONFIG).map(r => r.childId)).toEqual(['1', '3']);
+    });
+
+    it('keeps only families that can take the child today when availableOnly is set', () => {
+        const families = [
+            { familyId: 'f1', overallScore: 90, distanceMiles: 5, flags: [], canPlaceToday: true },
+            { familyId: 'f2', overallScore: 85, distanceMiles: 5, flags: [], canPlaceToday: false }
+        ];
+        const config = { rangeField: 'familyCapacity', categoryField: 'licenseStatus', availabilityField: 'canPlaceToday' };
+        const filters = { ...getDefaultFilters(), availableOnly: true };
+
+        expect(hasActiveFilters(filters)).toBe(true);
+        expect(applyFilters(families, filters, config).map(r => r.familyId)).toEqual(['f1']);
+        // Without an availability field the filter has nothing to check
+        expect(applyFilters(families, filters, FIELD_CONFIG)).toHaveLength(2);
+    });
+
+    it('sorts numbers numerically and text case-insensitively', () => {
+        expect(sortResults(RESULTS, 'distanceMiles', 'asc').map(r => r.childId)).toEqual(['2', '1', '3']);
+        expect(sortResults(RESULTS, 'overallScore', 'desc').map(r => r.childId)).toEqual(['1', '2', '3']);
+        expect(sortResults(RESULTS, 'childName', 'desc').map(r => r.childId)).toEqual(['3', '2', '1']);
+    });
+
+    it('builds distinct options for a field', () => {
+        expect(getFieldOptions(RESULTS, 'childGender')).toEqual([
+            { label: 'Female', value: 'Female' },
+            { label: 'Male', value: 'Male' }
+        ]);
+    });
+});
@@ -0,0 +1,163 @@
+/**
+ * Shared client-side filtering and sorting for match results.
+ * Used by both the child and family matching components so that the
+ * table and detailed views always show the same rows in the same order.
+ */
+
+export const FLAG_FILTER_ALL = 'all';
+export const FLAG_FILTER_HAS_FLAGS = 'hasFlags';
+export const FLAG_FILTER_NO_FLAGS = 'noFlags';
+
+/**
+ * Filters with nothing applied
+ */
+export function getDefaultFilters() {
+    return {
+        minScore: null,
+        maxDistance: null,
+        rangeMin: null,
+        rangeMax: null,
+        flagFilter: FLAG_FILTER_ALL,
+        category: '',
+        availableOnly: false
+    };
+}
+
+/**
+ * True when at least one filter would remove rows
+ */
+export function hasActiveFilters(filters) {
+    if (!filters) {
+        return false;
+    }
+
+    return isSet(filters.minScore) ||
+        isSet(filters.maxDistance) ||
+        isSet(filters.rangeMin) ||
+        isSet(filters.rangeMax) ||
+        (filters.flagFilter && filters.flagFilter !== FLAG_FILTER_ALL) ||
+        !!filters.category ||
+        !!filters.availableOnly;
+}
+
+/**
+ * Apply filters to processed match results.
+ * fieldConfig.rangeField is the numeric field for the range filter
+ * (childAge or familyCapacity), fieldConfig.categoryField the text field
+ * for the category filter (childGender or licenseStatus), and the optional
+ * fieldConfig.availabilityField the boolean the availableOnly filter requires
+ * (canPlaceToday for families).
+ */
+export function applyFilters(results, filters, fieldConfig) {
+    if (!results) {
+        return [];
+    }
+
+    if (!filters) {
+        return [...results];
+    }
+
+    const rangeField = fieldConfig ? fieldConfig.rangeField : null;
+    const categoryField = fieldConfig ? fieldConfig.categoryField : null;
+    const availabilityField = fieldConfig ? fieldConfig.availabilityField : null;
+
+    return results.filter(result => {
+        if (isSet(filters.minScore) && toNumber(result.overallScore) < toNumber(filters.minScore)) {
+            return false;
+        }
+
+        if (isSet(filters.maxDistance) && toNumber(result.distanceMiles) > toNumber(filters.maxDistance)) {
+            return false;
+        }
+
+        if (rangeField) {
+            const rangeValue = result[rangeField];
+            if (isSet(filters.rangeMin) && (!isSet(rangeValue) || toNumber(rangeValue) < toNumber(filters.rangeMin))) {
+                return false;
+            }
+            if (isSet(filters.rangeMax) && (!isSet(rangeValue) || toNumber(rangeValue) > toNumber(filters.rangeMax))) {
+                return false;
+            }
+        }
+
+        const flagCount = result.flags ? result.flags.length : 0;
+        if (filters.flagFilter === FLAG_FILTER_HAS_FLAGS && flagCount === 0) {
+            return false;
+        }
+        if (filters.flagFilter === FLAG_FILTER_NO_FLAGS && flagCount > 0) {
+            return false;
+        }
+
+        if (categoryField && filters.category && result[categoryField] !== filters.category) {
+            return false;
+        }
+
+        if (availabilityField && filters.availableOnly && result[availabilityField] === false) {
+            return false;
+        }
+
+        return true;
+    });
+}
+
+/**
+ * Sort results by a field. Numbers sort numerically, everything else
+ * case-insensitively; empty values always sort last.
+ */
+export function sortResults(results, sortBy, sortDirection) {
+    const sorted = [...(results || [])];
+    if (!sortBy) {
+        return sorted;
+    }
+
+    const modifier = sortDirection === 'desc' ? -1 : 1;
+
+    sorted.sort((a, b) => {
+        const valueA = a[sortBy];
+        const valueB = b[sortBy];
+
+        if (!isSet(valueA) && !isSet(valueB)) {
+            return 0;
+        }
+        if (!isSet(valueA)) {
+            return 1;
+        }
+        if (!isSet(valueB)) {
+            return -1;
+        }
+
+        if (typeof valueA === 'number' && typeof valueB === 'number') {
+            return (valueA - valueB) * modifier;
+        }
+
+        return String(valueA).localeCompare(String(valueB), undefined, { sensitivity: 'base' }) * modifier;
+    });
+
+    return sorted;
+}
+
+/**
+ * Distinct, sorted values of a field, formatted as combobox options
+ */
+export function getFieldOptions(results, fieldName) {
+    const values = [];
+
+    (results || []).forEach(result => {
+        const value = result[fieldName];
+        if (isSet(value) && !values.includes(value)) {
+            values.push(value);
+        }
+    });
+
+    return values
+        .sort((a, b) => String(a).localeCompare(String(b)))
+        .map(value => ({ label: String(value), value: String(value) }));
+}
+
+function isSet(value) {
+    return value !== null && value !== undefined && value !== '';
+}
+
+function toNumber(value) {
+    return typeof value === 'string' ? parseFloat(value) : (value || 0);
+}
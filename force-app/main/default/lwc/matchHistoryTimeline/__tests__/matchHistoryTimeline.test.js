@@ -0,0 +1,101 @@
+import { createElement } from '@lwc/engine-dom';
+import MatchHistoryTimeline from 'c/matchHistoryTimeline';
+
+const ENTRIES = [
+    {
+        matchResultId: 'a02000000000001',
+        childId: 'a01000000000001',
+        childName: 'Ava Smith',
+        matchDate: '2024-05-02T10:00:00.000Z',
+        matchScore: 88.5,
+        status: 'Recommended',
+        matchReasons: ['Preferred Age Range'],
+        recommendedByName: 'Case Worker',
+        transitions: [{ fromStatus: 'New', toStatus: 'Recommended', changedDate: '2024-05-03T10:00:00.000Z', changedByName: 'Case Worker' }]
+    },
+    {
+        matchResultId: 'a02000000000002',
+        childId: 'a01000000000002',
+        childName: 'Ben Jones',
+        matchDate: '2024-05-01T10:00:00.000Z',
+        matchScore: 61,
+        status: 'Not Suitable',
+        notSuitableReason: 'Distance',
+        matchReasons: [],
+        transitions: []
+    }
+];
+
+describe('c-match-history-timeline', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    it('renders one timeline item per entry', () => {
+        const element = createElement('c-match-history-timeline', {
+            is: MatchHistoryTimeline
+        });
+        element.entries = ENTRIES;
+        document.body.appendChild(element);
+
+        expect(element.shadowRoot.querySelectorAll('.slds-timeline > li').length).toBe(2);
+    });
+
+    it('filters by status', async () => {
+        const element = createElement('c-match-history-timeline', {
+            is: MatchHistoryTimeline
+        });
+        element.entries = ENTRIES;
+        document.body.appendChild(element);
+
+        const statusFilter = element.shadowRoot.querySelector('lightning-combobox');
+        statusFilter.dispatchEvent(new CustomEvent('change', { detail: { value: 'Not Suitable' } }));
+        await Promise.resolve();
+
+        const items = element.shadowRoot.querySelectorAll('.slds-timeline > li');
+        expect(items.length).toBe(1);
+        expect(items[0].textContent).toContain('Distance');
+    });
+
+    it('lists earlier runs of a match', () => {
+        const element = createElement('c-match-history-timeline', {
+            is: MatchHistoryTimeline
+        });
+        element.entries = [{
+            ...ENTRIES[0],
+            earlierRuns: [
+                { matchDate: '2024-04-20T10:00:00.000Z', matchScore: 82 },
+                { matchDate: '2024-04-10T10:00:00.000Z', matchScore: 75.25 }
+            ]
+        }];
+        document.body.appendChild(element);
+
+        const runs = element.shadowRoot.querySelectorAll('.earlier-runs li');
+        expect(runs.length).toBe(2);
+        expect(runs[0].textContent).toContain('score 82.0');
+        expect(runs[1].textContent).toContain('score 75.3');
+    });
+
+    it('lists entries by family on a child', () => {
+        const element = createElement('c-match-history-timeline', {
+            is: MatchHistoryTimeline
+        });
+        element.entries = ENTRIES.map((entry, index) => ({
+            ...entry,
+            familyId: `001000000000${index}`,
+            familyName: `Family ${index}`
+        }));
+        element.subject = 'family';
+        document.body.appendChild(element);
+        const handler = jest.fn();
+        element.addEventListener('viewfamily', handler);
+
+        const links = element.shadowRoot.querySelectorAll('.slds-timeline a');
+        expect([...links].map(link => link.textContent)).toEqual(['Family 0', 'Family 1']);
+        links[1].click();
+        expect(handler.mock.calls[0][0].detail.familyId).toBe('0010000000001');
+    });
+});
@@ -0,0 +1,137 @@
+import { LightningElement, api, track } from 'lwc';
+
+const STATUS_ICONS = {
+    New: 'standard:recent',
+    Recommended: 'standard:approval',
+    'Not Suitable': 'standard:first_non_empty',
+    'On Hold': 'standard:waits',
+    'Outreach Approved': 'standard:outcome',
+    Placed: 'standard:home'
+};
+
+const STATUS_BADGE_CLASSES = {
+    Recommended: 'slds-theme_success',
+    'Not Suitable': 'slds-theme_error',
+    'On Hold': 'slds-theme_warning',
+    'Outreach Approved': 'slds-badge_inverse',
+    Placed: 'slds-theme_alt-inverse'
+};
+
+// Who each entry is listed by: the child on a preference's history, the family on a child's
+const SUBJECTS = {
+    child: { idField: 'childId', nameField: 'childName', label: 'Child', allLabel: 'All Children', eventName: 'viewchild', owner: 'preference' },
+    family: { idField: 'familyId', nameField: 'familyName', label: 'Family', allLabel: 'All Families', eventName: 'viewfamily', owner: 'child' }
+};
+
+export default class MatchHistoryTimeline extends LightningElement {
+    @api entries = []; // MatchResultController.MatchHistoryEntry records, newest first
+    @api subject = 'child'; // 'child' or 'family', see SUBJECTS
+
+    @track statusFilter = '';
+    @track subjectFilter = '';
+
+    get subjectConfig() {
+        return SUBJECTS[this.subject] || SUBJECTS.child;
+    }
+
+    get subjectLabel() {
+        return this.subjectConfig.label;
+    }
+
+    get emptyMessage() {
+        return `No match history for this ${this.subjectConfig.owner} yet.`;
+    }
+
+    get statusOptions() {
+        return this.buildOptions((this.entries || []).map(entry => ({ value: entry.status, label: entry.status })), 'All Statuses');
+    }
+
+    get subjectOptions() {
+        const { idField, nameField, allLabel } = this.subjectConfig;
+        return this.buildOptions((this.entries || []).map(entry => ({ value: entry[idField], label: entry[nameField] })), allLabel);
+    }
+
+    /**
+     * Filtered entries with display fields
+     */
+    get timelineItems() {
+        const { idField, nameField } = this.subjectConfig;
+        return (this.entries || [])
+            .filter(entry => !this.statusFilter || entry.status === this.statusFilter)
+            .filter(entry => !this.subjectFilter || entry[idField] === this.subjectFilter)
+            .map(entry => ({
+                ...entry,
+                subjectId: entry[idField],
+                subjectName: entry[nameField],
+                iconName: STATUS_ICONS[entry.status] || 'standard:recent',
+                statusBadgeClass: STATUS_BADGE_CLASSES[entry.status] || '',
+                matchDateFormatted: this.formatDateTime(entry.matchDate),
+                scoreDisplay: this.formatScore(entry.matchScore),
+                matchReasonsString: entry.matchReasons && entry.matchReasons.length > 0 ?
+                    entry.matchReasons.join('; ') : '',
+                hasRecommendation: !!entry.recommendedByName,
+                recommendedDateFormatted: this.formatDateTime(entry.recommendedDate),
+                transitionItems: (entry.transitions || []).map((transition, index) => ({
+                    key: entry.matchResultId + '-' + index,
+                    label: `${transition.fromStatus || 'New'} → ${transition.toStatus || '—'}`,
+                    meta: `${this.formatDateTime(transition.changedDate)}${transition.changedByName ? ' by ' + transition.changedByName : ''}`
+                })),
+                hasTransitions: entry.transitions && entry.transitions.length > 0,
+                earlierRunItems: (entry.earlierRuns || []).map((run, index) => ({
+                    key: entry.matchResultId + '-run-' + index,
+                    label: `${this.formatDateTime(run.matchDate)}: score ${this.formatScore(run.matchScore)}`
+                })),
+                hasEarlierRuns: entry.earlierRuns && entry.earlierRuns.length > 0
+            }));
+    }
+
+    get hasEntries() {
+        return this.entries && this.entries.length > 0;
+    }
+
+    get hasTimelineItems() {
+        return this.timelineItems.length > 0;
+    }
+
+    handleStatusFilterChange(event) {
+        this.statusFilter = event.detail.value;
+    }
+
+    handleSubjectFilterChange(event) {
+        this.subjectFilter = event.detail.value;
+    }
+
+    /**
+     * Open the child ("viewchild" with childId) or family ("viewfamily" with familyId) of an entry
+     */
+    handleViewSubject(event) {
+        const { idField, eventName } = this.subjectConfig;
+        this.dispatchEvent(
+            new CustomEvent(eventName, {
+                detail: { [idField]: event.currentTarget.dataset.id }
+            })
+        );
+    }
+
+    /**
+     * Distinct combobox options with an "all" entry first
+     */
+    buildOptions(items, allLabel) {
+        const options = [{ label: allLabel, value: '' }];
+        items.forEach(item => {
+            if (item.value && !options.some(option => option.value === item.value)) {
+                options.push({ label: item.label || item.value, value: item.value });
+            }
+        });
+        return options;
+    }
+
+    formatScore(score) {
+        return score !== null && score !== undefined ? Number(score).toFixed(1) : '—';
+    }
+
+    formatDateTime(dt) {
+        if (!dt) return '';
+        return new Date(dt).toLocaleString();
+    }
+}
@@ -0,0 +1,49 @@
+import { createElement } from '@lwc/engine-dom';
+import MatchMap from 'c/matchMap';
+
+const ANCHOR = { latitude: 39.7392, longitude: -104.9903, title: 'Smith Family' };
+
+const MATCHES = [
+    { id: 'a1', title: 'Ava', latitude: 39.75, longitude: -105.0, score: 88, distanceMiles: 1.2 },
+    { id: 'c3', title: 'Cal', latitude: null, longitude: null, score: 70, distanceMiles: 30 }
+];
+
+describe('c-match-map', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    it('notes matches without coordinates', () => {
+        const element = createElement('c-match-map', {
+            is: MatchMap
+        });
+        element.anchor = ANCHOR;
+        element.matches = MATCHES;
+        document.body.appendChild(element);
+
+        expect(element.shadowRoot.querySelector('lightning-map')).not.toBeNull();
+        expect(element.shadowRoot.textContent).toContain('1 match has no coordinates');
+    });
+
+    it('dispatches matchselect for match markers only', () => {
+        const element = createElement('c-match-map', {
+            is: MatchMap
+        });
+        element.anchor = ANCHOR;
+        element.matches = MATCHES;
+        document.body.appendChild(element);
+
+        const handler = jest.fn();
+        element.addEventListener('matchselect', handler);
+        const map = element.shadowRoot.querySelector('lightning-map');
+
+        map.dispatchEvent(new CustomEvent('markerselect', { detail: { selectedMarkerValue: 'ring-10' } }));
+        map.dispatchEvent(new CustomEvent('markerselect', { detail: { selectedMarkerValue: 'a1' } }));
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler.mock.calls[0][0].detail).toEqual({ id: 'a1' });
+    });
+});
@@ -0,0 +1,65 @@
+import { LightningElement, api } from 'lwc';
+import {
+    buildMarkers,
+    countMissingCoordinates,
+    getLegend,
+    ANCHOR_MARKER_VALUE
+} from 'c/matchMapService';
+
+export default class MatchMap extends LightningElement {
+    @api anchor; // { latitude, longitude, title, description }
+    @api matches = []; // [{ id, latitude, longitude, title, score, distanceMiles, description }]
+
+    get markers() {
+        return buildMarkers(this.anchor, this.matches);
+    }
+
+    get hasMarkers() {
+        return this.markers.length > 0;
+    }
+
+    get missingCount() {
+        return countMissingCoordinates(this.matches);
+    }
+
+    get missingMessage() {
+        const count = this.missingCount;
+        return count === 1
+            ? '1 match has no coordinates and is not shown on the map.'
+            : `${count} matches have no coordinates and are not shown on the map.`;
+    }
+
+    get hasAnchorLocation() {
+        return !!this.anchor && this.markers.some(marker => marker.value === ANCHOR_MARKER_VALUE);
+    }
+
+    get scoreLegend() {
+        return getLegend().scoreBands.map(band => ({
+            ...band,
+            style: `background-color: ${band.color};`
+        }));
+    }
+
+    get ringLegend() {
+        return getLegend().distanceRings.map(ring => ({
+            ...ring,
+            style: `border-color: ${ring.color};`
+        }));
+    }
+
+    /**
+     * Report selection of a match marker; anchor and ring selections are ignored
+     */
+    handleMarkerSelect(event) {
+        const value = event.detail.selectedMarkerValue;
+        if (!value || value === ANCHOR_MARKER_VALUE || String(value).startsWith('ring-')) {
+            return;
+        }
+
+        this.dispatchEvent(
+            new CustomEvent('matchselect', {
+                detail: { id: value }
+            })
+        );
+    }
+}
@@ -0,0 +1,43 @@
+import {
+    buildMarkers,
+    countMissingCoordinates,
+    getScoreBand,
+    ANCHOR_MARKER_VALUE
+} from 'c/matchMapService';
+
+const ANCHOR = { latitude: 39.7392, longitude: -104.9903, title: 'Smith Family' };
+
+const MATCHES = [
+    { id: 'a1', title: 'Ava', latitude: 39.75, longitude: -105.0, score: 88, distanceMiles: 1.2 },
+    { id: 'b2', title: 'Ben', latitude: '39.9', longitude: '-104.8', score: 45, distanceMiles: 14 },
+    { id: 'c3', title: 'Cal', latitude: null, longitude: null, score: 70, distanceMiles: 30 }
+];
+
+describe('c-match-map-service', () => {
+    it('builds three distance rings, an anchor pin and one pin per located match', () => {
+        const markers = buildMarkers(ANCHOR, MATCHES);
+
+        const rings = markers.filter(marker => marker.type === 'Circle');
+        expect(rings.map(ring => Math.round(ring.radius))).toEqual([16093, 40234, 80467]);
+        expect(markers.some(marker => marker.value === ANCHOR_MARKER_VALUE)).toBe(true);
+        expect(markers.filter(marker => ['a1', 'b2', 'c3'].includes(marker.value)).map(marker => marker.value))
+            .toEqual(['a1', 'b2']);
+    });
+
+    it('colors match pins by score band', () => {
+        const markers = buildMarkers(ANCHOR, MATCHES);
+        const pin = value => markers.find(marker => marker.value === value);
+
+        expect(pin('a1').mapIcon.fillColor).toBe(getScoreBand(88).color);
+        expect(pin('b2').mapIcon.fillColor).toBe(getScoreBand(45).color);
+        expect(getScoreBand(88).color).not.toBe(getScoreBand(45).color);
+        expect(pin('b2').location).toEqual({ Latitude: 39.9, Longitude: -104.8 });
+    });
+
+    it('skips rings when the anchor has no coordinates and counts unlocated matches', () => {
+        const markers = buildMarkers({ title: 'No location' }, MATCHES);
+
+        expect(markers.some(marker => marker.type === 'Circle')).toBe(false);
+        expect(countMissingCoordinates(MATCHES)).toBe(1);
+    });
+});
@@ -0,0 +1,154 @@
+import {
+    getScoreBand as getScoreBandKey,
+    getScoreBandLegend,
+    getDistanceBandsMiles,
+    SCORE_BAND_EXCELLENT,
+    SCORE_BAND_GOOD,
+    SCORE_BAND_FAIR,
+    SCORE_BAND_POOR
+} from 'c/scoringPresentation';
+
+/**
+ * Marker building for the match map view.
+ * Score colors and distance rings follow the bands in c/scoringPresentation,
+ * which match the distance adjustment used by the Apex scoring.
+ */
+
+// Marker value for the anchor pin; distance rings use ring-<miles>
+export const ANCHOR_MARKER_VALUE = 'anchor';
+
+const METERS_PER_MILE = 1609.344;
+
+const BAND_COLORS = {
+    [SCORE_BAND_EXCELLENT]: '#2e844a',
+    [SCORE_BAND_GOOD]: '#0176d3',
+    [SCORE_BAND_FAIR]: '#dd7a01',
+    [SCORE_BAND_POOR]: '#ba0517'
+};
+
+// Near, close and moderate distance rings
+const RING_COLORS = ['#2e844a', '#0176d3', '#dd7a01'];
+
+const ANCHOR_COLOR = '#032d60';
+
+// Standard map pin path, scaled to roughly the size of the default marker
+const PIN_PATH = 'M 0,0 C -2,-20 -10,-22 -10,-30 A 10,10 0 1,1 10,-30 C 10,-22 2,-20 0,0 z';
+
+/**
+ * Score band (label and color) for an overall score
+ */
+export function getScoreBand(score) {
+    const band = getScoreBandKey(score);
+    const legend = getScoreBandLegend().find(entry => entry.band === band);
+    return { label: legend.label, color: BAND_COLORS[band] };
+}
+
+/**
+ * Legend entries for score colors and distance rings
+ */
+export function getLegend() {
+    return {
+        scoreBands: getScoreBandLegend().map(entry => ({ label: entry.label, color: BAND_COLORS[entry.band] })),
+        distanceRings: getDistanceBandsMiles().map((miles, index) => ({ label: `${miles} mi`, color: RING_COLORS[index] }))
+    };
+}
+
+/**
+ * True when both coordinates are present
+ */
+export function hasCoordinates(latitude, longitude) {
+    return latitude !== null && latitude !== undefined && latitude !== '' &&
+        longitude !== null && longitude !== undefined && longitude !== '';
+}
+
+/**
+ * lightning-map markers for an anchor record and its matches.
+ *
+ * anchor:  { latitude, longitude, title, description }
+ * matches: [{ id, latitude, longitude, title, score, distanceMiles, description }]
+ *
+ * Match markers carry the match id as their value so a selection can be
+ * traced back to its match; anchor and ring selections should be ignored.
+ */
+export function buildMarkers(anchor, matches) {
+    const markers = [];
+
+    if (anchor && hasCoordinates(anchor.latitude, anchor.longitude)) {
+        const location = toLocation(anchor.latitude, anchor.longitude);
+
+        getDistanceBandsMiles().forEach((miles, index) => {
+            markers.push({
+                location,
+                type: 'Circle',
+                radius: miles * METERS_PER_MILE,
+                strokeColor: RING_COLORS[index],
+                strokeOpacity: 0.8,
+                strokeWeight: 1,
+                fillColor: RING_COLORS[index],
+                fillOpacity: 0.05,
+                value: `ring-${miles}`,
+                title: `${miles} miles`
+            });
+        });
+
+        markers.push({
+            location,
+            value: ANCHOR_MARKER_VALUE,
+            title: anchor.title,
+            description: anchor.description,
+            mapIcon: buildPinIcon(ANCHOR_COLOR, 1.2)
+        });
+    }
+
+    (matches || []).forEach(match => {
+        if (!hasCoordinates(match.latitude, match.longitude)) {
+            return;
+        }
+
+        const band = getScoreBand(match.score);
+        const details = [`Score: ${toNumber(match.score).toFixed(1)}`];
+        if (match.distanceMiles !== null && match.distanceMiles !== undefined) {
+            details.push(`Distance: ${toNumber(match.distanceMiles).toFixed(1)} mi`);
+        }
+        if (match.description) {
+            details.push(match.description);
+        }
+
+        markers.push({
+            location: toLocation(match.latitude, match.longitude),
+            value: match.id,
+            title: match.title,
+            description: details.join(' • '),
+            mapIcon: buildPinIcon(band.color, 1)
+        });
+    });
+
+    return markers;
+}
+
+/**
+ * Number of matches that cannot be placed on the map
+ */
+export function countMissingCoordinates(matches) {
+    return (matches || []).filter(match => !hasCoordinates(match.latitude, match.longitude)).length;
+}
+
+function buildPinIcon(color, scale) {
+    return {
+        path: PIN_PATH,
+        fillColor: color,
+        fillOpacity: 1,
+        strokeWeight: 1,
+        strokeColor: '#ffffff',
+        scale: scale,
+        anchor: { x: 0, y: 0 }
+    };
+}
+
+function toLocation(latitude, longitude) {
+    return { Latitude: toNumber(latitude), Longitude: toNumber(longitude) };
+}
+
+function toNumber(value) {
+    return typeof value === 'string' ? parseFloat(value) : (value || 0);
+}
@@ -0,0 +1,177 @@
+import { createElement } from '@lwc/engine-dom';
+import MatchPresetPicker from 'c/matchPresetPicker';
+import getPresets from '@salesforce/apex/MatchingViewPresetController.getPresets';
+import savePreset from '@salesforce/apex/MatchingViewPresetController.savePreset';
+
+jest.mock(
+    '@salesforce/apex/MatchingViewPresetController.getPresets',
+    () => {
+        return { default: jest.fn() };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/MatchingViewPresetController.savePreset',
+    () => {
+        return { default: jest.fn() };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/MatchingViewPresetController.setDefaultPreset',
+    () => {
+        return { default: jest.fn() };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/MatchingViewPresetController.deletePreset',
+    () => {
+        return { default: jest.fn() };
+    },
+    { virtual: true }
+);
+
+// Resolve pending promise callbacks
+const flushPromises = () => new Promise(process.nextTick);
+
+const PRESETS = [
+    {
+        presetId: 'p1',
+        name: 'Emergency within 25 miles',
+        viewMode: 'table',
+        filters: '{"maxDistance":25}',
+        sortedBy: 'distanceMiles',
+        sortDirection: 'asc',
+        weightOverrides: '{"Age Range":8}',
+        isDefault: true,
+        isShared: false,
+        isOwner: true,
+        ownerName: 'Current User'
+    },
+    {
+        presetId: 'p2',
+        name: 'Sibling groups',
+        viewMode: 'detailed',
+        filters: null,
+        sortedBy: 'overallScore',
+        sortDirection: 'desc',
+        weightOverrides: null,
+        isDefault: false,
+        isShared: true,
+        isOwner: false,
+        ownerName: 'Jane Doe'
+    }
+];
+
+async function createPicker(onApply) {
+    const element = createElement('c-match-preset-picker', { is: MatchPresetPicker });
+    element.component = 'Child Matching';
+    element.viewState = {
+        viewMode: 'map',
+        filters: { minScore: 70 },
+        sortedBy: 'overallScore',
+        sortDirection: 'desc',
+        weightOverrides: {}
+    };
+    if (onApply) {
+        element.addEventListener('presetapply', onApply);
+    }
+    document.body.appendChild(element);
+    await flushPromises();
+    return element;
+}
+
+describe('c-match-preset-picker', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('applies the default preset on load', async () => {
+        getPresets.mockResolvedValue(PRESETS);
+        const onApply = jest.fn();
+        const element = await createPicker(onApply);
+
+        expect(getPresets).toHaveBeenCalledWith({ component: 'Child Matching' });
+        expect(onApply).toHaveBeenCalledTimes(1);
+        expect(onApply.mock.calls[0][0].detail).toEqual(expect.objectContaining({
+            viewMode: 'table',
+            filters: { maxDistance: 25 },
+            sortedBy: 'distanceMiles',
+            sortDirection: 'asc',
+            weightOverrides: { 'Age Range': 8 }
+        }));
+
+        const combobox = element.shadowRoot.querySelector('lightning-combobox');
+        expect(combobox.value).toBe('p1');
+        expect(combobox.options.map(option => option.label)).toEqual([
+            'Emergency within 25 miles (Default)',
+            'Sibling groups (Team · Jane Doe)'
+        ]);
+    });
+
+    it('applies a selected team preset with empty settings', async () => {
+        getPresets.mockResolvedValue(PRESETS);
+        const onApply = jest.fn();
+        const element = await createPicker(onApply);
+
+        const combobox = element.shadowRoot.querySelector('lightning-combobox');
+        combobox.dispatchEvent(new CustomEvent('change', { detail: { value: 'p2' } }));
+
+        expect(onApply).toHaveBeenCalledTimes(2);
+        expect(onApply.mock.calls[1][0].detail).toEqual(expect.objectContaining({
+            viewMode: 'detailed',
+            filters: {},
+            weightOverrides: {}
+        }));
+    });
+
+    it('saves the current view state', async () => {
+        getPresets.mockResolvedValue([]);
+        savePreset.mockResolvedValue({ presetId: 'p3', name: 'High scores' });
+        const element = await createPicker();
+
+        const saveButton = [...element.shadowRoot.querySelectorAll('lightning-button')].find(
+            button => button.label === 'Save Preset'
+        );
+        saveButton.click();
+        await flushPromises();
+
+        const nameInput = [...element.shadowRoot.querySelectorAll('lightning-input')].find(
+            input => input.label === 'Preset Name'
+        );
+        nameInput.value = 'High scores';
+        nameInput.dispatchEvent(new CustomEvent('change'));
+        const shareInput = [...element.shadowRoot.querySelectorAll('lightning-input')].find(
+            input => input.label === 'Share with my team'
+        );
+        shareInput.checked = true;
+        shareInput.dispatchEvent(new CustomEvent('change'));
+
+        const confirmButton = [...element.shadowRoot.querySelectorAll('lightning-button')].find(
+            button => button.label === 'Save'
+        );
+        confirmButton.click();
+        await flushPromises();
+
+        expect(savePreset).toHaveBeenCalledWith({
+            component: 'Child Matching',
+            name: 'High scores',
+            viewMode: 'map',
+            filters: '{"minScore":70}',
+            sortedBy: 'overallScore',
+            sortDirection: 'desc',
+            weightOverrides: '{}',
+            isDefault: false,
+            isShared: true
+        });
+        expect(getPresets).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,229 @@
+import { LightningElement, api, track } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getPresets from '@salesforce/apex/MatchingViewPresetController.getPresets';
+import savePreset from '@salesforce/apex/MatchingViewPresetController.savePreset';
+import setDefaultPreset from '@salesforce/apex/MatchingViewPresetController.setDefaultPreset';
+import deletePreset from '@salesforce/apex/MatchingViewPresetController.deletePreset';
+import { createLogger, describeError } from 'c/logger';
+
+/**
+ * Preset dropdown for the matching components. A preset captures view mode, filters,
+ * sort order and criterion weight overrides (see MatchingViewPresetController).
+ * The caseworker's default preset is applied on load. Fires "presetapply" with the
+ * preset settings whenever one is selected; the parent supplies viewState to save.
+ */
+export default class MatchPresetPicker extends LightningElement {
+    @api component; // Matching_View_Preset__c.Component__c value
+    @api viewState = {}; // { viewMode, filters, sortedBy, sortDirection, weightOverrides }
+
+    @track presets = [];
+    @track selectedPresetId = '';
+    @track isSaveOpen = false;
+    @track presetName = '';
+    @track saveAsDefault = false;
+    @track shareWithTeam = false;
+    @track errorMessage = '';
+    @track isSaving = false;
+
+    logger = createLogger('matchPresetPicker');
+
+    connectedCallback() {
+        this.loadPresets(true);
+    }
+
+    loadPresets(applyDefault) {
+        return getPresets({ component: this.component })
+            .then(presets => {
+                this.presets = presets || [];
+                const defaultPreset = this.presets.find(preset => preset.isDefault);
+                if (applyDefault && defaultPreset) {
+                    this.applyPreset(defaultPreset);
+                }
+            })
+            .catch(error => {
+                this.logger.error('Error loading view presets', describeError(error));
+            });
+    }
+
+    get presetOptions() {
+        return this.presets.map(preset => ({
+            label: getPresetLabel(preset),
+            value: preset.presetId
+        }));
+    }
+
+    get noPresets() {
+        return this.presets.length === 0;
+    }
+
+    get placeholder() {
+        return this.noPresets ? 'No saved presets' : 'Select a preset';
+    }
+
+    get selectedPreset() {
+        return this.presets.find(preset => preset.presetId === this.selectedPresetId);
+    }
+
+    // Only the owner can change a preset; teammates can apply it or save a copy
+    get isManageDisabled() {
+        const preset = this.selectedPreset;
+        return !preset || !preset.isOwner;
+    }
+
+    get isSetDefaultDisabled() {
+        return this.isManageDisabled || this.selectedPreset.isDefault;
+    }
+
+    get isClearDefaultDisabled() {
+        return !this.presets.some(preset => preset.isDefault);
+    }
+
+    handlePresetChange(event) {
+        const preset = this.presets.find(p => p.presetId === event.detail.value);
+        if (preset) {
+            this.applyPreset(preset);
+        }
+    }
+
+    applyPreset(preset) {
+        this.selectedPresetId = preset.presetId;
+        this.dispatchEvent(
+            new CustomEvent('presetapply', {
+                detail: {
+                    presetId: preset.presetId,
+                    name: preset.name,
+                    viewMode: preset.viewMode,
+                    filters: this.parseSetting(preset.filters),
+                    sortedBy: preset.sortedBy,
+                    sortDirection: preset.sortDirection,
+                    weightOverrides: this.parseSetting(preset.weightOverrides)
+                }
+            })
+        );
+    }
+
+    /**
+     * Filters and weight overrides are stored as JSON; a missing or unreadable value applies nothing
+     */
+    parseSetting(value) {
+        if (!value) {
+            return {};
+        }
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            this.logger.warn('Unreadable preset setting', describeError(error));
+            return {};
+        }
+    }
+
+    openSave() {
+        const preset = this.selectedPreset;
+        const isOwnPreset = !!preset && preset.isOwner;
+        this.presetName = isOwnPreset ? preset.name : '';
+        this.saveAsDefault = isOwnPreset && preset.isDefault;
+        this.shareWithTeam = isOwnPreset && preset.isShared;
+        this.errorMessage = '';
+        this.isSaveOpen = true;
+    }
+
+    closeSave() {
+        this.isSaveOpen = false;
+    }
+
+    handleNameChange(event) {
+        this.presetName = event.target.value;
+    }
+
+    handleDefaultChange(event) {
+        this.saveAsDefault = event.target.checked;
+    }
+
+    handleShareChange(event) {
+        this.shareWithTeam = event.target.checked;
+    }
+
+    handleSave() {
+        if (!this.presetName || !this.presetName.trim()) {
+            this.errorMessage = 'Enter a preset name';
+            return;
+        }
+
+        const state = this.viewState || {};
+        this.isSaving = true;
+        this.errorMessage = '';
+
+        savePreset({
+            component: this.component,
+            name: this.presetName,
+            viewMode: state.viewMode,
+            filters: JSON.stringify(state.filters || {}),
+            sortedBy: state.sortedBy,
+            sortDirection: state.sortDirection,
+            weightOverrides: JSON.stringify(state.weightOverrides || {}),
+            isDefault: this.saveAsDefault,
+            isShared: this.shareWithTeam
+        })
+            .then(saved => {
+                this.selectedPresetId = saved.presetId;
+                this.isSaveOpen = false;
+                this.showToast('Preset Saved', `"${saved.name}" saved`, 'success');
+                return this.loadPresets(false);
+            })
+            .catch(error => {
+                this.errorMessage = error.body ? error.body.message : 'Unable to save preset';
+                this.logger.warn('Preset not saved', describeError(error));
+            })
+            .finally(() => {
+                this.isSaving = false;
+            });
+    }
+
+    handleMenuSelect(event) {
+        const action = event.detail.value;
+        if (action === 'default') {
+            this.updateDefault(this.selectedPresetId, 'Default preset set');
+        } else if (action === 'clearDefault') {
+            this.updateDefault(null, 'Default preset cleared');
+        } else if (action === 'delete') {
+            this.deleteSelected();
+        }
+    }
+
+    updateDefault(presetId, message) {
+        setDefaultPreset({ component: this.component, presetId })
+            .then(() => {
+                this.showToast('Success', message, 'success');
+                return this.loadPresets(false);
+            })
+            .catch(error => {
+                this.showToast('Error', error.body ? error.body.message : 'Unable to update default preset', 'error');
+                this.logger.warn('Default preset not updated', describeError(error));
+            });
+    }
+
+    deleteSelected() {
+        const preset = this.selectedPreset;
+        deletePreset({ presetId: preset.presetId })
+            .then(() => {
+                this.selectedPresetId = '';
+                this.showToast('Success', `"${preset.name}" deleted`, 'success');
+                return this.loadPresets(false);
+            })
+            .catch(error => {
+                this.showToast('Error', error.body ? error.body.message : 'Unable to delete preset', 'error');
+                this.logger.warn('Preset not deleted', describeError(error));
+            });
+    }
+
+    showToast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+}
+
+function getPresetLabel(preset) {
+    if (!preset.isOwner) {
+        return `${preset.name} (Team · ${preset.ownerName})`;
+    }
+    return preset.isDefault ? `${preset.name} (Default)` : preset.name;
+}
@@ -0,0 +1,120 @@
+import { createElement } from '@lwc/engine-dom';
+import MatchStatusModal from 'c/matchStatusModal';
+import getAllowedStatuses from '@salesforce/apex/MatchResultController.getAllowedStatuses';
+import updateMatchStatuses from '@salesforce/apex/MatchResultController.updateMatchStatuses';
+
+jest.mock(
+    '@salesforce/apex/MatchResultController.getAllowedStatuses',
+    () => {
+        return { default: jest.fn() };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/MatchResultController.updateMatchStatuses',
+    () => {
+        return { default: jest.fn() };
+    },
+    { virtual: true }
+);
+
+// Resolve pending promise callbacks
+const flushPromises = () => new Promise(process.nextTick);
+
+const STATUS_OPTIONS = [
+    { label: 'Recommended', value: 'Recommended' },
+    { label: 'Not Suitable', value: 'Not Suitable' }
+];
+
+async function createModal(matchResultIds) {
+    const element = createElement('c-match-status-modal', { is: MatchStatusModal });
+    element.matchResultIds = matchResultIds;
+    document.body.appendChild(element);
+    await flushPromises();
+    return element;
+}
+
+async function chooseStatus(element, status) {
+    const combobox = element.shadowRoot.querySelector('lightning-combobox');
+    combobox.dispatchEvent(new CustomEvent('change', { detail: { value: status } }));
+    await flushPromises();
+}
+
+function clickSave(element) {
+    const button = [...element.shadowRoot.querySelectorAll('lightning-button')].find(b => b.label === 'Save');
+    button.click();
+}
+
+describe('c-match-status-modal', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('offers the statuses allowed for the selected matches', async () => {
+        getAllowedStatuses.mockResolvedValue(STATUS_OPTIONS);
+        const element = await createModal(['a02000000000001', 'a02000000000002']);
+
+        expect(getAllowedStatuses).toHaveBeenCalledWith({ matchResultIds: ['a02000000000001', 'a02000000000002'] });
+        expect(element.shadowRoot.querySelector('lightning-combobox').options).toEqual(STATUS_OPTIONS);
+        expect(element.shadowRoot.querySelector('h2').textContent).toBe('Update Status for 2 Matches');
+    });
+
+    it('requires a reason for Not Suitable', async () => {
+        getAllowedStatuses.mockResolvedValue(STATUS_OPTIONS);
+        const element = await createModal(['a02000000000001']);
+        await chooseStatus(element, 'Not Suitable');
+
+        clickSave(element);
+        await flushPromises();
+
+        expect(updateMatchStatuses).not.toHaveBeenCalled();
+        expect(element.shadowRoot.textContent).toContain('Please provide a reason for "Not Suitable"');
+    });
+
+    it('fires statusupdate and close when every status is saved', async () => {
+        getAllowedStatuses.mockResolvedValue(STATUS_OPTIONS);
+        const results = [{ matchResultId: 'a02000000000001', success: true, status: 'Recommended' }];
+        updateMatchStatuses.mockResolvedValue(results);
+        const element = await createModal(['a02000000000001']);
+        const updateHandler = jest.fn();
+        const closeHandler = jest.fn();
+        element.addEventListener('statusupdate', updateHandler);
+        element.addEventListener('close', closeHandler);
+        await chooseStatus(element, 'Recommended');
+
+        clickSave(element);
+        await flushPromises();
+
+        expect(updateMatchStatuses).toHaveBeenCalledWith({
+            matchResultIds: ['a02000000000001'],
+            newStatus: 'Recommended',
+            notes: '',
+            notSuitableReason: ''
+        });
+        expect(updateHandler.mock.calls[0][0].detail.results).toEqual(results);
+        expect(closeHandler).toHaveBeenCalled();
+    });
+
+    it('stays open for the matches that failed', async () => {
+        getAllowedStatuses.mockResolvedValue(STATUS_OPTIONS);
+        updateMatchStatuses.mockResolvedValue([
+            { matchResultId: 'a02000000000001', success: true, status: 'Recommended' },
+            { matchResultId: 'a02000000000002', success: false, message: 'Invalid transition' }
+        ]);
+        const element = await createModal(['a02000000000001', 'a02000000000002']);
+        const closeHandler = jest.fn();
+        element.addEventListener('close', closeHandler);
+        await chooseStatus(element, 'Recommended');
+
+        clickSave(element);
+        await flushPromises();
+
+        expect(closeHandler).not.toHaveBeenCalled();
+        expect(element.shadowRoot.querySelector('h2').textContent).toBe('Update Match Status');
+    });
+});
@@ -0,0 +1,126 @@
+import { LightningElement, api, track } from 'lwc';
+import getAllowedStatuses from '@salesforce/apex/MatchResultController.getAllowedStatuses';
+import updateMatchStatuses from '@salesforce/apex/MatchResultController.updateMatchStatuses';
+import { createLogger, describeError } from 'c/logger';
+
+const NOT_SUITABLE = 'Not Suitable';
+
+/**
+ * Modal for setting the status of one or more saved match results, shared by child and
+ * reverse matching. Offers only the statuses every selected match may move to (see
+ * MatchStatusWorkflow). Fires "statusupdate" with the per-record results after each save;
+ * records that failed stay in the modal for another try, and "close" fires once all are
+ * saved or the modal is cancelled.
+ */
+export default class MatchStatusModal extends LightningElement {
+    @api matchResultIds = [];
+
+    @track pendingIds = [];
+    @track statusOptions = [];
+    @track selectedStatus = '';
+    @track statusNotes = '';
+    @track notSuitableReason = '';
+    @track errorMessage = '';
+    @track isLoading = false;
+    @track isSaving = false;
+
+    logger = createLogger('matchStatusModal');
+
+    connectedCallback() {
+        this.pendingIds = [...(this.matchResultIds || [])];
+        this.loadStatusOptions();
+    }
+
+    loadStatusOptions() {
+        this.isLoading = true;
+
+        getAllowedStatuses({ matchResultIds: this.pendingIds })
+            .then(options => {
+                this.statusOptions = options || [];
+            })
+            .catch(error => {
+                this.errorMessage = error.body ? error.body.message : 'Unable to load statuses';
+                this.logger.error('Error loading allowed statuses', describeError(error));
+            })
+            .finally(() => {
+                this.isLoading = false;
+            });
+    }
+
+    get title() {
+        return this.pendingIds.length > 1
+            ? `Update Status for ${this.pendingIds.length} Matches`
+            : 'Update Match Status';
+    }
+
+    get hasStatusOptions() {
+        return this.statusOptions.length > 0;
+    }
+
+    get showNoStatusMessage() {
+        return !this.isLoading && !this.hasStatusOptions;
+    }
+
+    get showNotSuitableReason() {
+        return this.selectedStatus === NOT_SUITABLE;
+    }
+
+    get isSaveDisabled() {
+        return this.isLoading || this.isSaving || !this.hasStatusOptions;
+    }
+
+    handleStatusChange(event) {
+        this.selectedStatus = event.detail.value;
+    }
+
+    handleNotesChange(event) {
+        this.statusNotes = event.target.value;
+    }
+
+    handleReasonChange(event) {
+        this.notSuitableReason = event.target.value;
+    }
+
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+
+    handleSave() {
+        if (!this.selectedStatus) {
+            this.errorMessage = 'Please select a status';
+            return;
+        }
+        if (this.selectedStatus === NOT_SUITABLE && !this.notSuitableReason) {
+            this.errorMessage = 'Please provide a reason for "Not Suitable"';
+            return;
+        }
+
+        this.isSaving = true;
+        this.errorMessage = '';
+
+        updateMatchStatuses({
+            matchResultIds: this.pendingIds,
+            newStatus: this.selectedStatus,
+            notes: this.statusNotes,
+            notSuitableReason: this.notSuitableReason
+        })
+            .then(results => {
+                this.dispatchEvent(new CustomEvent('statusupdate', { detail: { results } }));
+
+                const failedIds = results.filter(result => !result.success).map(result => result.matchResultId);
+                if (failedIds.length === 0) {
+                    this.handleClose();
+                    return;
+                }
+                // Leave the modal open for the records that still need a status
+                this.pendingIds = failedIds;
+            })
+            .catch(error => {
+                this.errorMessage = error.body ? error.body.message : 'Unable to update status';
+                this.logger.error('Error updating status', describeError(error));
+            })
+            .finally(() => {
+                this.isSaving = false;
+            });
+    }
+}
@@ -0,0 +1,123 @@
+import { subscribe, unsubscribe } from 'lightning/empApi';
+import currentUserId from '@salesforce/user/Id';
+import {
+    MATCH_UPDATE_CHANNEL,
+    CHANGE_STATUS,
+    CHANGE_MATRIX,
+    BATCH_PROGRESS_CHANNEL,
+    BATCH_COMPLETED,
+    toMatchUpdate,
+    toBatchProgress,
+    isJobProgress,
+    isOwnChange,
+    subscribeToMatchUpdates,
+    subscribeToBatchProgress,
+    unsubscribeFromMatchUpdates
+} from 'c/matchUpdateService';
+
+function message(payload) {
+    return { data: { payload } };
+}
+
+const OTHER_USER_CHANGE = {
+    Change_Type__c: 'Status',
+    Match_Result_Id__c: 'a02000000000001',
+    Preference_Id__c: 'a03000000000001',
+    Child_Id__c: 'a01000000000001',
+    Old_Status__c: 'New',
+    New_Status__c: 'Not Suitable',
+    Changed_By_Id__c: '005000000000099AAA',
+    Changed_By_Name__c: 'Jane Doe'
+};
+
+describe('c-match-update-service', () => {
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('reads the event payload', () => {
+        const update = toMatchUpdate(message(OTHER_USER_CHANGE));
+
+        expect(update).toEqual(expect.objectContaining({
+            changeType: CHANGE_STATUS,
+            matchResultId: 'a02000000000001',
+            preferenceId: 'a03000000000001',
+            newStatus: 'Not Suitable',
+            changedByName: 'Jane Doe'
+        }));
+        expect(isOwnChange(update)).toBe(false);
+        expect(isOwnChange({ changedById: currentUserId })).toBe(true);
+    });
+
+    it('passes on filtered status changes from other users only', async () => {
+        const handler = jest.fn();
+        await subscribeToMatchUpdates(update => update.preferenceId === 'a03000000000001', handler);
+
+        expect(subscribe.mock.calls[0][0]).toBe(MATCH_UPDATE_CHANNEL);
+        const onMessage = subscribe.mock.calls[0][2];
+        onMessage(message(OTHER_USER_CHANGE));
+        onMessage(message({ ...OTHER_USER_CHANGE, Preference_Id__c: 'a03000000000002' }));
+        onMessage(message({ ...OTHER_USER_CHANGE, Changed_By_Id__c: currentUserId }));
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler.mock.calls[0][0].newStatus).toBe('Not Suitable');
+    });
+
+    it('passes on matrix changes made by the current user', async () => {
+        const handler = jest.fn();
+        await subscribeToMatchUpdates(null, handler);
+
+        const onMessage = subscribe.mock.calls[0][2];
+        onMessage(message({ Change_Type__c: CHANGE_MATRIX, Child_Id__c: 'a01000000000001', Changed_By_Id__c: currentUserId }));
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler.mock.calls[0][0].childId).toBe('a01000000000001');
+    });
+
+    it('passes on batch progress', async () => {
+        const handler = jest.fn();
+        await subscribeToBatchProgress(handler);
+
+        expect(subscribe.mock.calls[0][0]).toBe(BATCH_PROGRESS_CHANNEL);
+        const onMessage = subscribe.mock.calls[0][2];
+        onMessage(message({
+            Job_Id__c: '707000000000001',
+            Status__c: BATCH_COMPLETED,
+            Items_Processed__c: 4,
+            Total_Items__c: 4,
+            Errors__c: null
+        }));
+
+        expect(handler).toHaveBeenCalledWith(expect.objectContaining({
+            jobId: '707000000000001',
+            status: BATCH_COMPLETED,
+            itemsProcessed: 4,
+            totalItems: 4,
+            errors: 0
+        }));
+    });
+
+    it('matches progress to the batch job or the schedule that started it', () => {
+        const progress = toBatchProgress(message({
+            Job_Id__c: '707000000000001AAA',
+            Schedule_Id__c: '08e000000000001AAA',
+            Status__c: BATCH_COMPLETED
+        }));
+
+        expect(isJobProgress(progress, '08e000000000001AAA')).toBe(true);
+        expect(isJobProgress(progress, '707000000000001')).toBe(true);
+        expect(isJobProgress(progress, '08e000000000002AAA')).toBe(false);
+        expect(isJobProgress(progress, null)).toBe(false);
+    });
+
+    it('resolves to null when streaming is unavailable', async () => {
+        subscribe.mockRejectedValueOnce(new Error('Streaming disabled'));
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        await expect(subscribeToMatchUpdates(null, jest.fn())).resolves.toBeNull();
+        await unsubscribeFromMatchUpdates(null);
+
+        expect(unsubscribe).not.toHaveBeenCalled();
+        warn.mockRestore();
+    });
+});
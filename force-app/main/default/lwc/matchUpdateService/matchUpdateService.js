@@ -0,0 +1,137 @@
+import { subscribe, unsubscribe, onError } from 'lightning/empApi';
+import currentUserId from '@salesforce/user/Id';
+import { createLogger, describeError } from 'c/logger';
+
+/**
+ * Live match updates from the Match_Update__e platform event (see MatchUpdatePublisher).
+ * Status events carry the match result, preference and child so each component can find
+ * the affected card; matrix events carry the child whose matrix rows changed. Status changes
+ * made by the current user are skipped because the component that made them already shows
+ * them; matrix changes always pass, as a recalculation the user started runs in a batch.
+ * Progress of that batch comes from Matching_Batch_Progress__e on its own channel.
+ */
+
+export const MATCH_UPDATE_CHANNEL = '/event/Match_Update__e';
+export const CHANGE_STATUS = 'Status';
+export const CHANGE_MATRIX = 'Matrix';
+export const BATCH_PROGRESS_CHANNEL = '/event/Matching_Batch_Progress__e';
+export const BATCH_PROCESSING = 'Processing';
+export const BATCH_COMPLETED = 'Completed';
+
+const logger = createLogger('matchUpdateService');
+
+let errorHandlerRegistered = false;
+
+/**
+ * Plain update from a streaming message
+ */
+export function toMatchUpdate(message) {
+    const payload = (message && message.data && message.data.payload) || {};
+    return {
+        changeType: payload.Change_Type__c,
+        matchResultId: payload.Match_Result_Id__c,
+        preferenceId: payload.Preference_Id__c,
+        childId: payload.Child_Id__c,
+        oldStatus: payload.Old_Status__c,
+        newStatus: payload.New_Status__c,
+        changedById: payload.Changed_By_Id__c,
+        changedByName: payload.Changed_By_Name__c,
+        changedAt: payload.CreatedDate
+    };
+}
+
+/**
+ * Plain batch progress from a streaming message
+ */
+export function toBatchProgress(message) {
+    const payload = (message && message.data && message.data.payload) || {};
+    return {
+        jobId: payload.Job_Id__c,
+        scheduleId: payload.Schedule_Id__c,
+        status: payload.Status__c,
+        itemsProcessed: payload.Items_Processed__c || 0,
+        totalItems: payload.Total_Items__c || 0,
+        errors: payload.Errors__c || 0,
+        publishedAt: payload.CreatedDate
+    };
+}
+
+/**
+ * True when the progress is from the given batch job or the scheduled job that started it,
+ * e.g. the id returned by MatrixFamilyMatchingController.triggerRecalculation
+ */
+export function isJobProgress(progress, jobId) {
+    return sameId(progress.jobId, jobId) || sameId(progress.scheduleId, jobId);
+}
+
+/**
+ * True when the current user made the change
+ */
+export function isOwnChange(update) {
+    return !!update.changedById && sameId(update.changedById, currentUserId);
+}
+
+/**
+ * Card text for a status change, e.g. "Not Suitable by Jane Doe at 10:32 AM"
+ */
+export function describeStatusChange(update) {
+    const time = new Date(update.changedAt || Date.now()).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    return `${update.newStatus} by ${update.changedByName || 'another user'} at ${time}`;
+}
+
+/**
+ * Subscribe to match updates. The handler receives matrix updates and other users'
+ * status updates that pass the filter. Resolves to the subscription, or null when
+ * streaming is unavailable.
+ */
+export function subscribeToMatchUpdates(filter, handler) {
+    registerErrorHandler();
+    return subscribe(MATCH_UPDATE_CHANNEL, -1, message => {
+        const update = toMatchUpdate(message);
+        const ownStatusChange = update.changeType === CHANGE_STATUS && isOwnChange(update);
+        if (!ownStatusChange && (!filter || filter(update))) {
+            handler(update);
+        }
+    }).catch(error => {
+        logger.warn('Unable to subscribe to match updates', describeError(error));
+        return null;
+    });
+}
+
+/**
+ * Subscribe to matrix batch progress, published after each chunk and once on completion.
+ * Resolves to the subscription, or null when streaming is unavailable.
+ */
+export function subscribeToBatchProgress(handler) {
+    registerErrorHandler();
+    return subscribe(BATCH_PROGRESS_CHANNEL, -1, message => {
+        handler(toBatchProgress(message));
+    }).catch(error => {
+        logger.warn('Unable to subscribe to batch progress', describeError(error));
+        return null;
+    });
+}
+
+export function unsubscribeFromMatchUpdates(subscription) {
+    if (!subscription) {
+        return Promise.resolve();
+    }
+    return unsubscribe(subscription).catch(error => {
+        logger.warn('Unable to unsubscribe from match updates', describeError(error));
+    });
+}
+
+function registerErrorHandler() {
+    if (errorHandlerRegistered) {
+        return;
+    }
+    errorHandlerRegistered = true;
+    onError(error => {
+        logger.warn('Streaming API error', describeError(error));
+    });
+}
+
+// Salesforce ids compare on their 15-character form
+function sameId(a, b) {
+    return !!a && !!b && a.substring(0, 15) === b.substring(0, 15);
+}
@@ -0,0 +1,62 @@
+import {
+    getCriterionWeights,
+    getConfiguredWeights,
+    recalculateScores,
+    rerankResults,
+    restoreServerRanking,
+    hasWeightChanges
+} from 'c/matchWeightService';
+
+const buildResult = (id, serverRank, ageScore, genderScore, distanceMiles) => ({
+    childId: id,
+    serverRank: serverRank,
+    serverScores: { overallScore: 0, highPriorityScore: 0, mediumPriorityScore: 0, lowPriorityScore: 0 },
+    distanceMiles: distanceMiles,
+    detailedScores: {
+        'Preferred Age Range': { criterionName: 'Preferred Age Range', priority: 'High', weight: 8, score: ageScore },
+        'Gender Preference': { criterionName: 'Gender Preference', priority: 'High', weight: 2, score: genderScore },
+        'School Name': { criterionName: 'School Name', priority: 'Low', weight: 3, score: '100.00' }
+    }
+});
+
+describe('c-match-weight-service', () => {
+    it('reads configured weights from detailedScores', () => {
+        const results = [buildResult('1', 1, '100.00', '0.00', 5)];
+        expect(getCriterionWeights(results).map(c => c.name)).toEqual([
+            'Preferred Age Range',
+            'Gender Preference',
+            'School Name'
+        ]);
+        expect(getConfiguredWeights(results)).toEqual({
+            'Preferred Age Range': 8,
+            'Gender Preference': 2,
+            'School Name': 3
+        });
+    });
+
+    it('matches the server formula for configured weights', () => {
+        // High = (100*8 + 0*2) / 1000 * 100 = 80; Low = 100; overall = 48 + 0 + 10 + 10
+        const scores = recalculateScores(buildResult('1', 1, '100.00', '0.00', 5), null);
+        expect(scores).toEqual({
+            overallScore: 68,
+            highPriorityScore: 80,
+            mediumPriorityScore: 0,
+            lowPriorityScore: 100
+        });
+    });
+
+    it('re-ranks and reports movement against the server ranking', () => {
+        const results = [buildResult('1', 1, '100.00', '0.00', 5), buildResult('2', 2, '0.00', '100.00', 5)];
+        const weights = { 'Preferred Age Range': 1, 'Gender Preference': 10, 'School Name': 3 };
+
+        expect(hasWeightChanges(weights, getConfiguredWeights(results))).toBe(true);
+
+        const reranked = rerankResults(results, weights);
+        expect(reranked.map(r => r.childId)).toEqual(['2', '1']);
+        expect(reranked.map(r => r.rankChange)).toEqual([1, -1]);
+
+        const restored = restoreServerRanking(reranked);
+        expect(restored.map(r => r.childId)).toEqual(['1', '2']);
+        expect(restored[0].rankChange).toBe(0);
+    });
+});
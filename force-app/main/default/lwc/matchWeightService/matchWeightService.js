@@ -0,0 +1,146 @@
+import { getDistanceAdjustmentPoints } from 'c/scoringPresentation';
+
+/**
+ * Client-side re-scoring for "what-if" weight tuning.
+ * Mirrors the overall score formula in ChildMatchingService.scoreChild:
+ * each priority level is a weighted average of its criterion scores, and
+ * overall = 60% high + 30% medium + 10% low + distance adjustment.
+ */
+
+const PRIORITY_SHARE = { High: 0.6, Medium: 0.3, Low: 0.1 };
+
+/**
+ * Criteria found across all results with their configured weights
+ */
+export function getCriterionWeights(results) {
+    const criteria = [];
+
+    (results || []).forEach(result => {
+        const detailedScores = result.detailedScores || {};
+        Object.keys(detailedScores).forEach(key => {
+            const scoreData = detailedScores[key];
+            const name = scoreData.criterionName || key;
+            if (!criteria.some(criterion => criterion.name === name)) {
+                criteria.push({
+                    name: name,
+                    priority: scoreData.priority,
+                    weight: toNumber(scoreData.weight)
+                });
+            }
+        });
+    });
+
+    return criteria;
+}
+
+/**
+ * Weights keyed by criterion name, as configured
+ */
+export function getConfiguredWeights(results) {
+    const weights = {};
+    getCriterionWeights(results).forEach(criterion => {
+        weights[criterion.name] = criterion.weight;
+    });
+    return weights;
+}
+
+/**
+ * Distance adjustment points, matching MatchingSettings.getDistanceAdjustment
+ */
+export function getDistanceAdjustment(miles) {
+    return getDistanceAdjustmentPoints(miles);
+}
+
+/**
+ * Recalculate priority and overall scores for one result using the given weights
+ */
+export function recalculateScores(result, weights) {
+    const totals = { High: 0, Medium: 0, Low: 0 };
+    const maximums = { High: 0, Medium: 0, Low: 0 };
+    const detailedScores = result.detailedScores || {};
+
+    Object.keys(detailedScores).forEach(key => {
+        const scoreData = detailedScores[key];
+        const name = scoreData.criterionName || key;
+        const priority = scoreData.priority;
+
+        if (!(priority in totals)) {
+            return;
+        }
+
+        const weight = weights && name in weights ? toNumber(weights[name]) : toNumber(scoreData.weight);
+        totals[priority] += toNumber(scoreData.score) * weight;
+        maximums[priority] += 100 * weight;
+    });
+
+    const priorityScore = priority => (maximums[priority] > 0 ? round(totals[priority] / maximums[priority] * 100) : 0);
+
+    const highPriorityScore = priorityScore('High');
+    const mediumPriorityScore = priorityScore('Medium');
+    const lowPriorityScore = priorityScore('Low');
+
+    const overallScore = round(
+        highPriorityScore * PRIORITY_SHARE.High +
+        mediumPriorityScore * PRIORITY_SHARE.Medium +
+        lowPriorityScore * PRIORITY_SHARE.Low +
+        getDistanceAdjustment(toNumber(result.distanceMiles))
+    );
+
+    return { overallScore, highPriorityScore, mediumPriorityScore, lowPriorityScore };
+}
+
+/**
+ * Re-score and re-rank results. Each result must carry serverRank;
+ * the returned results gain rank and rankChange (positive = moved up).
+ */
+export function rerankResults(results, weights) {
+    const rescored = (results || []).map(result => ({
+        ...result,
+        ...recalculateScores(result, weights)
+    }));
+
+    rescored.sort((a, b) => {
+        if (b.overallScore !== a.overallScore) {
+            return b.overallScore - a.overallScore;
+        }
+        return a.serverRank - b.serverRank;
+    });
+
+    return rescored.map((result, index) => ({
+        ...result,
+        rank: index + 1,
+        rankChange: result.serverRank - (index + 1)
+    }));
+}
+
+/**
+ * Put results back in server order with the scores returned by runMatching.
+ * Each result must carry serverRank and serverScores.
+ */
+export function restoreServerRanking(results) {
+    return [...(results || [])]
+        .sort((a, b) => a.serverRank - b.serverRank)
+        .map(result => ({
+            ...result,
+            ...result.serverScores,
+            rank: result.serverRank,
+            rankChange: 0
+        }));
+}
+
+/**
+ * True when any weight differs from its configured value
+ */
+export function hasWeightChanges(weights, configuredWeights) {
+    return Object.keys(configuredWeights || {}).some(name =>
+        weights && name in weights && toNumber(weights[name]) !== toNumber(configuredWeights[name])
+    );
+}
+
+function toNumber(value) {
+    return typeof value === 'string' ? parseFloat(value) : (value || 0);
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
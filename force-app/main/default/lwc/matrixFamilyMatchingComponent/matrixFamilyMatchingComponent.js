@@ -5,20 +5,84 @@ import { refreshApex } from '@salesforce/apex';
 import getMatrixMatches from '@salesforce/apex/MatrixFamilyMatchingController.getMatrixMatches';
 import getBatchStatus from '@salesforce/apex/MatrixFamilyMatchingController.getBatchStatus';
 import triggerRecalculation from '@salesforce/apex/MatrixFamilyMatchingController.triggerRecalculation';
+import getEmergencyCandidates from '@salesforce/apex/EmergencyPlacementController.getEmergencyCandidates';
+import recordOutreachResponse from '@salesforce/apex/FamilyOutreachController.recordResponse';
+import {
+    buildCsv,
+    downloadCsv,
+    buildFileName,
+    getReportUrl,
+    REPORT_TYPE_MATRIX
+} from 'c/matchExportService';
+import {
+    loadScoringSettings,
+    getScoreClass,
+    getProgressVariant,
+    getDistanceAdjustmentLabel
+} from 'c/scoringPresentation';
+import { createLogger, describeError } from 'c/logger';
+import { loadUpcomingVisits, getVisitKey } from 'c/visitService';
+import { RESPONSE_OPTIONS, loadOutreach, getOutreachDisplay } from 'c/outreachService';
+import {
+    CHANGE_STATUS,
+    CHANGE_MATRIX,
+    BATCH_COMPLETED,
+    describeStatusChange,
+    isJobProgress,
+    subscribeToMatchUpdates,
+    subscribeToBatchProgress,
+    unsubscribeFromMatchUpdates
+} from 'c/matchUpdateService';
+
+// CSV columns; matrix rows carry priority-level scores rather than per-criterion details
+const EXPORT_COLUMNS = [
+    { label: 'Rank', fieldName: 'matchRank' },
+    { label: 'Family Name', fieldName: 'familyName' },
+    { label: 'Preference', fieldName: 'preferenceName' },
+    { label: 'Location', fieldName: 'familyLocation' },
+    { label: 'Capacity', fieldName: 'familyCapacity' },
+    { label: 'License Status', fieldName: 'licenseStatus' },
+    { label: 'Match Score', fieldName: 'overallScore' },
+    { label: 'High Priority Score', fieldName: 'highPriorityScore' },
+    { label: 'Medium Priority Score', fieldName: 'mediumPriorityScore' },
+    { label: 'Low Priority Score', fieldName: 'lowPriorityScore' },
+    { label: 'Distance (mi)', fieldName: 'distanceMiles' },
+    { label: 'Calculated Date', fieldName: 'calculatedDate' }
+];
+
+const PAGE_SIZE = 25;
 
 export default class MatrixFamilyMatchingComponent extends NavigationMixin(LightningElement) {
     @api recordId; // Child record ID
     
     @track matchResults = [];
+    @track totalCount = 0; // Ranked matches across all pages
+    @track hasMore = false;
+    @track isLoadingMore = false;
+    averageDistance = null; // Across all ranked matches, from the server
     @track batchStatus = {};
     @track isRefreshing = false;
-    @track viewMode = 'detailed'; // 'table' or 'detailed'
+    @track viewMode = 'detailed'; // 'table', 'detailed' or 'map'
+    @track visitMatch = null; // Match the visit scheduler is open for
+    @track includeNearMisses = false; // Also list stored near misses (failing one or two hard constraints)
+    @track nearMisses = []; // c-near-miss-list candidates
+    @track emergencyMode = false; // Call list of families open to emergency placements instead of the matrix
+    @track emergencyCandidates = []; // c-emergency-outreach-list candidates, searched live rather than from the matrix
+    @track selectedFamilyIds = []; // Families selected for outreach
+    @track outreachFamilies = []; // [{ familyId, familyName }] the outreach composer is open for
+    upcomingVisits = {}; // Next scheduled visit keyed by getVisitKey
+    outreachByFamily = {}; // Latest outreach for this child keyed by family ID
+    responseOptions = RESPONSE_OPTIONS;
+    statusChangeLabels = {}; // Other caseworkers' decisions keyed by preference ID
+    matchUpdateSubscription; // Resolves to the Match_Update__e subscription
+    batchProgressSubscription; // Resolves to the Matching_Batch_Progress__e subscription
+    awaitingRecalculation = false; // Recalculation requested here; matches reload when the batch completes
+    recalculationJobId = null; // Job returned by triggerRecalculation; other jobs' progress is ignored meanwhile
+    matrixChangedDuringBatch = false; // This child's matrix changed while a batch ran; reloaded once it completes
     
     wiredMatchesResult;
     wiredBatchStatusResult;
-    
-    // Auto-refresh interval (30 seconds)
-    refreshInterval;
+    logger = createLogger('matrixFamilyMatchingComponent');
     
     columns = [
         {
@@ -83,86 +147,435 @@ export default class MatrixFamilyMatchingComponent extends NavigationMixin(Light
     /**
      * Wire to get matrix matches
      */
-    @wire(getMatrixMatches, { childId: '$recordId' })
+    @wire(getMatrixMatches, {
+        childId: '$recordId',
+        includeNearMisses: '$includeNearMisses',
+        pageSize: PAGE_SIZE,
+        pageOffset: 0
+    })
     wiredMatches(result) {
         this.wiredMatchesResult = result;
         if (result.data) {
-            console.log('Received matrix matches:', result.data);
-            this.processMatches(result.data);
+            this.logger.debug('Received matrix matches', { count: result.data.matches.length, total: result.data.totalCount });
+            const data = result.data;
+            // Score bands and distance labels come from the matching settings
+            loadScoringSettings()
+                .then(() => this.processMatches(data))
+                .catch(error => {
+                    this.logger.error('Error loading matches', describeError(error));
+                    this.showToast('Error', 'Failed to load matches: ' + this.getErrorMessage(error), 'error');
+                });
         } else if (result.error) {
-            console.error('Error loading matches:', result.error);
+            this.logger.setContext({ recordId: this.recordId });
+            this.logger.error('Error loading matches', describeError(result.error));
             this.showToast('Error', 'Failed to load matches: ' + 
                 this.getErrorMessage(result.error), 'error');
         }
     }
     
     /**
-     * Wire to get batch status
+     * Wire to get batch status, including whether the requested recalculation is still pending
      */
-    @wire(getBatchStatus)
+    @wire(getBatchStatus, { jobId: '$recalculationJobId' })
     wiredBatchStatus(result) {
         this.wiredBatchStatusResult = result;
         if (result.data) {
-            console.log('Batch status:', result.data);
+            this.logger.debug('Batch status', result.data);
             this.batchStatus = result.data;
+            if (this.awaitingRecalculation && !result.data.jobPending) {
+                // Aborted, failed or deleted before completing, so no Completed event will come
+                this.logger.warn('Recalculation job is no longer pending', { jobId: this.recalculationJobId });
+                this.awaitingRecalculation = false;
+                this.recalculationJobId = null;
+            }
         } else if (result.error) {
-            console.error('Error loading batch status:', result.error);
+            this.logger.error('Error loading batch status', describeError(result.error));
         }
     }
     
     connectedCallback() {
-        // Set up auto-refresh when batch is running
-        this.startAutoRefresh();
+        this.matchUpdateSubscription = subscribeToMatchUpdates(
+            update => update.childId === this.recordId,
+            update => this.handleMatchUpdate(update)
+        );
+        this.batchProgressSubscription = subscribeToBatchProgress(progress => this.handleBatchProgress(progress));
     }
     
     disconnectedCallback() {
-        // Clean up interval
-        this.stopAutoRefresh();
+        if (this.matchUpdateSubscription) {
+            this.matchUpdateSubscription.then(unsubscribeFromMatchUpdates);
+            this.matchUpdateSubscription = null;
+        }
+        if (this.batchProgressSubscription) {
+            this.batchProgressSubscription.then(unsubscribeFromMatchUpdates);
+            this.batchProgressSubscription = null;
+        }
     }
     
     /**
-     * Start auto-refresh interval
+     * Reload when this child's matrix is recalculated; note status decisions on their cards.
+     * Matrix changes from a running batch wait for it to complete so matches reload once.
      */
-    startAutoRefresh() {
-        this.refreshInterval = setInterval(() => {
-            if (this.batchStatus && this.batchStatus.isRunning) {
-                this.handleRefresh();
+    handleMatchUpdate(update) {
+        if (update.changeType === CHANGE_MATRIX) {
+            if (this.isBatchRunning || this.awaitingRecalculation) {
+                this.matrixChangedDuringBatch = true;
+                return;
             }
-        }, 30000); // 30 seconds
+            // Reload quietly; the refresh toast and spinner belong to the Refresh button
+            refreshApex(this.wiredMatchesResult).catch(error => {
+                this.logger.error('Error reloading matches after matrix change', describeError(error));
+            });
+            return;
+        }
+        if (update.changeType !== CHANGE_STATUS) {
+            return;
+        }
+        const match = this.matchResults.find(m => m.preferenceId === update.preferenceId);
+        this.statusChangeLabels = { ...this.statusChangeLabels, [update.preferenceId]: describeStatusChange(update) };
+        this.matchResults = this.matchResults.map(m => ({
+            ...m,
+            statusChangedLabel: this.statusChangeLabels[m.preferenceId] || null
+        }));
+        if (match) {
+            this.showToast(
+                'Match Updated',
+                `${match.familyName} was marked ${update.newStatus} by ${update.changedByName || 'another user'}`,
+                'info'
+            );
+        }
     }
     
     /**
-     * Stop auto-refresh interval
+     * Show the running batch's progress; on completion reload matches if this child's
+     * matrix changed or a recalculation was requested here. While that recalculation is
+     * pending only its own job counts, so matches reload once, when it completes.
      */
-    stopAutoRefresh() {
-        if (this.refreshInterval) {
-            clearInterval(this.refreshInterval);
+    handleBatchProgress(progress) {
+        if (this.awaitingRecalculation && !isJobProgress(progress, this.recalculationJobId)) {
+            if (progress.status === BATCH_COMPLETED) {
+                // Another job finished; check the requested one is still pending
+                refreshApex(this.wiredBatchStatusResult).catch(error => {
+                    this.logger.error('Error loading batch status', describeError(error));
+                });
+            }
+            return;
         }
+        if (progress.status !== BATCH_COMPLETED) {
+            this.batchStatus = {
+                ...this.batchStatus,
+                isRunning: true,
+                status: progress.status,
+                itemsProcessed: progress.itemsProcessed,
+                totalItems: progress.totalItems,
+                errors: progress.errors
+            };
+            return;
+        }
+        
+        const reload = this.matrixChangedDuringBatch || this.awaitingRecalculation;
+        this.matrixChangedDuringBatch = false;
+        this.awaitingRecalculation = false;
+        // The job is only marked Completed after finish commits, so getBatchStatus may still report it running;
+        // recalculationJobId is kept so the batch status wire is not reloaded now
+        this.batchStatus = {
+            ...this.batchStatus,
+            isRunning: false,
+            status: progress.status,
+            itemsProcessed: progress.itemsProcessed,
+            totalItems: progress.totalItems,
+            errors: progress.errors,
+            lastRunDate: progress.publishedAt || new Date().toISOString()
+        };
+        if (!reload) {
+            return;
+        }
+        
+        refreshApex(this.wiredMatchesResult)
+            .then(() => {
+                const errors = progress.errors ? ` with ${progress.errors} errors` : '';
+                this.showToast('Matches Updated', `Matrix recalculation finished${errors}`, progress.errors ? 'warning' : 'success');
+            })
+            .catch(error => {
+                this.logger.error('Error reloading matches after recalculation', describeError(error));
+            });
     }
     
+    
     /**
-     * Process matches for display
+     * Process a page of matches for display; the first page replaces what is loaded
      */
-    processMatches(matches) {
-        this.matchResults = matches.map(match => {
+    processMatches(page, offset = 0) {
+        this.totalCount = page.totalCount;
+        this.hasMore = page.hasMore;
+        this.averageDistance = page.averageDistance;
+        if (offset === 0) {
+            // Near misses are stored with hardConstraintsMet unchecked and come with the first page
+            this.nearMisses = (page.nearMisses || []).map(match => ({
+                id: match.familyId,
+                name: match.familyName,
+                overallScore: match.overallScore,
+                details: match.familyLocation,
+                failedConstraints: match.failedConstraints || []
+            }));
+        }
+        
+        const pageRows = (page.matches || []).map(match => {
             return {
                 ...match,
-                scoreClass: this.getScoreClass(match.overallScore),
-                progressVariant: this.getProgressVariant(match.overallScore),
+                scoreClass: getScoreClass(match.overallScore),
+                progressVariant: getProgressVariant(match.overallScore),
                 scoreDisplay: match.overallScore.toFixed(1),
                 rankBadgeClass: this.getRankBadgeClass(match.matchRank),
-                distanceAdjustment: this.calculateDistanceAdjustment(match.distanceMiles),
+                distanceAdjustment: getDistanceAdjustmentLabel(match.distanceMiles),
                 calculatedDateFormatted: this.formatDateTime(match.calculatedDate),
                 isTopMatch: match.matchRank === 1,
-                matchRankLabel: this.getMatchRankLabel(match.matchRank)
+                matchRankLabel: this.getMatchRankLabel(match.matchRank),
+                statusChangedLabel: this.statusChangeLabels[match.preferenceId] || null,
+                upcomingVisit: this.upcomingVisits[getVisitKey(match.childId, match.familyId)] || null,
+                ...getOutreachDisplay(this.outreachByFamily[match.familyId]),
+                isSelected: this.selectedFamilyIds.includes(match.familyId)
             };
         });
+        this.matchResults = offset === 0 ? pageRows : [...this.matchResults, ...pageRows];
+        this.loadVisitsFor(pageRows);
+        if (offset === 0) {
+            this.loadOutreachForChild();
+        }
+    }
+    
+    /**
+     * Fetch the next page of matches (datatable infinite scroll and the Load More button)
+     */
+    handleLoadMore(event) {
+        if (!this.hasMore || this.isLoadingMore) {
+            return;
+        }
+        
+        const datatable = event && event.target && event.target.tagName === 'LIGHTNING-DATATABLE'
+            ? event.target : null;
+        if (datatable) {
+            datatable.isLoading = true;
+        }
+        this.isLoadingMore = true;
+        const pageOffset = this.matchResults.length;
+        
+        getMatrixMatches({
+            childId: this.recordId,
+            includeNearMisses: this.includeNearMisses,
+            pageSize: PAGE_SIZE,
+            pageOffset
+        })
+            .then(page => {
+                this.processMatches(page, pageOffset);
+            })
+            .catch(error => {
+                this.showToast('Error', 'Failed to load more matches: ' + this.getErrorMessage(error), 'error');
+                this.logger.error('Error loading more matches', describeError(error));
+            })
+            .finally(() => {
+                this.isLoadingMore = false;
+                if (datatable) {
+                    datatable.isLoading = false;
+                }
+            });
+    }
+    
+    get loadedCountLabel() {
+        return `Showing ${this.matchResults.length} of ${this.totalCount} ranked matches`;
+    }
+    
+    /**
+     * Load the next scheduled visit for each match on a page
+     */
+    loadVisitsFor(rows) {
+        loadUpcomingVisits(rows.map(row => row.childId), rows.map(row => row.familyId))
+            .then(visits => {
+                this.upcomingVisits = { ...this.upcomingVisits, ...visits };
+                this.applyUpcomingVisits();
+            })
+            .catch(error => {
+                this.logger.error('Error loading upcoming visits', describeError(error));
+            });
+    }
+    
+    /**
+     * Copy the known upcoming visits onto the match rows
+     */
+    applyUpcomingVisits() {
+        this.matchResults = this.matchResults.map(match => ({
+            ...match,
+            upcomingVisit: this.upcomingVisits[getVisitKey(match.childId, match.familyId)] || null
+        }));
+    }
+    
+    /**
+     * Load the latest outreach to each family for this child
+     */
+    loadOutreachForChild() {
+        loadOutreach(this.recordId)
+            .then(outreachByFamily => {
+                this.outreachByFamily = outreachByFamily;
+                this.applyOutreach();
+            })
+            .catch(error => {
+                this.logger.error('Error loading family outreach', describeError(error));
+            });
+    }
+    
+    /**
+     * Copy the known outreach onto the match rows
+     */
+    applyOutreach() {
+        this.matchResults = this.matchResults.map(match => ({
+            ...match,
+            ...getOutreachDisplay(this.outreachByFamily[match.familyId])
+        }));
+    }
+    
+    /**
+     * Reflect the outreach selection on the match rows
+     */
+    syncSelectionState() {
+        this.matchResults = this.matchResults.map(match => ({
+            ...match,
+            isSelected: this.selectedFamilyIds.includes(match.familyId)
+        }));
+    }
+    
+    // Datatable rows are keyed by matrix record; a family is selected on all of its rows
+    get selectedRowKeys() {
+        return this.matchResults
+            .filter(match => this.selectedFamilyIds.includes(match.familyId))
+            .map(match => match.matrixId);
+    }
+    
+    handleRowSelection(event) {
+        this.selectedFamilyIds = [...new Set(event.detail.selectedRows.map(row => row.familyId))];
+        this.syncSelectionState();
+    }
+    
+    /**
+     * Handle the Select checkbox on a match card
+     */
+    handleSelectChange(event) {
+        const familyId = event.target.dataset.id;
+        this.selectedFamilyIds = event.target.checked
+            ? [...this.selectedFamilyIds, familyId]
+            : this.selectedFamilyIds.filter(id => id !== familyId);
+        this.syncSelectionState();
+    }
+    
+    handleClearSelection() {
+        this.selectedFamilyIds = [];
+        this.syncSelectionState();
+    }
+    
+    get selectedCount() {
+        return this.selectedFamilyIds.length;
+    }
+    
+    get hasSelection() {
+        return this.selectedFamilyIds.length > 0;
+    }
+    
+    /**
+     * Open the outreach composer for every selected family
+     */
+    handleContactSelected() {
+        const names = {};
+        this.matchResults.forEach(match => {
+            names[match.familyId] = match.familyName;
+        });
+        this.outreachFamilies = this.selectedFamilyIds.map(familyId => ({ familyId, familyName: names[familyId] }));
+    }
+    
+    get showOutreachComposer() {
+        return this.outreachFamilies.length > 0;
+    }
+    
+    closeOutreachComposer() {
+        this.outreachFamilies = [];
+    }
+    
+    /**
+     * Show each sent outreach on its card and drop those families from the selection
+     */
+    handleOutreachSent(event) {
+        const sent = event.detail.results.filter(result => result.success);
+        if (sent.length === 0) {
+            return;
+        }
+        const outreachByFamily = { ...this.outreachByFamily };
+        sent.forEach(result => {
+            outreachByFamily[result.familyId] = result.outreach;
+        });
+        this.outreachByFamily = outreachByFamily;
+        
+        const sentIds = sent.map(result => result.familyId);
+        this.selectedFamilyIds = this.selectedFamilyIds.filter(id => !sentIds.includes(id));
+        this.applyOutreach();
+        this.syncSelectionState();
+        this.showToast('Success', `Outreach sent to ${sent.length === 1 ? '1 family' : `${sent.length} families`}`, 'success');
+    }
+    
+    /**
+     * Record a family's response from the menu on its card
+     */
+    handleOutreachResponse(event) {
+        recordOutreachResponse({ outreachId: event.target.dataset.id, response: event.detail.value })
+            .then(summary => {
+                this.outreachByFamily = { ...this.outreachByFamily, [summary.familyId]: summary };
+                this.applyOutreach();
+                this.showToast('Success', `Response recorded: ${summary.response}`, 'success');
+            })
+            .catch(error => {
+                this.logger.error('Error recording outreach response', describeError(error));
+                this.showToast('Error', error.body ? error.body.message : 'Unable to record the response', 'error');
+            });
+    }
+    
+    /**
+     * Open the visit scheduler for a match card
+     */
+    handleScheduleVisit(event) {
+        const match = this.matchResults.find(m => m.matrixId === event.target.dataset.id);
+        if (match) {
+            this.visitMatch = {
+                childId: match.childId,
+                childName: match.childName,
+                familyId: match.familyId,
+                familyName: match.familyName
+            };
+        }
+    }
+    
+    /**
+     * Show a newly scheduled visit on its card if it is the next one for the match
+     */
+    handleVisitScheduled(event) {
+        const visit = event.detail.visit;
+        const key = getVisitKey(visit.childId, visit.familyId);
+        const current = this.upcomingVisits[key];
+        if (!current || new Date(visit.startTime) < new Date(current.startTime)) {
+            this.upcomingVisits = { ...this.upcomingVisits, [key]: visit };
+            this.applyUpcomingVisits();
+        }
+        this.closeVisitScheduler();
+    }
+    
+    closeVisitScheduler() {
+        this.visitMatch = null;
     }
     
     /**
      * Handle refresh button click
      */
     handleRefresh() {
+        if (this.emergencyMode) {
+            this.loadEmergencyCandidates();
+            return;
+        }
         this.isRefreshing = true;
         Promise.all([
             refreshApex(this.wiredMatchesResult),
@@ -187,15 +600,12 @@ export default class MatrixFamilyMatchingComponent extends NavigationMixin(Light
         this.isRefreshing = true;
         
         triggerRecalculation({ childId: this.recordId })
-            .then(result => {
+            .then(jobId => {
+                this.recalculationJobId = jobId;
+                this.awaitingRecalculation = true;
                 this.showToast('Success', 
-                    'Recalculation scheduled. Results will update in a few minutes.', 
+                    'Recalculation scheduled. Matches will reload when it completes.', 
                     'success');
-                
-                // Refresh after 10 seconds
-                setTimeout(() => {
-                    this.handleRefresh();
-                }, 10000);
             })
             .catch(error => {
                 this.showToast('Error', 
@@ -208,10 +618,46 @@ export default class MatrixFamilyMatchingComponent extends NavigationMixin(Light
     }
     
     /**
-     * Toggle view mode
+     * Handle Export menu selection
      */
-    toggleViewMode() {
-        this.viewMode = this.viewMode === 'table' ? 'detailed' : 'table';
+    handleExportSelect(event) {
+        switch (event.detail.value) {
+            case 'csv':
+                this.exportCsv();
+                break;
+            case 'report':
+                this.openPrintableReport();
+                break;
+            default:
+                break;
+        }
+    }
+    
+    /**
+     * Download the matrix matches as CSV
+     */
+    exportCsv() {
+        const csv = buildCsv(this.matchResults, EXPORT_COLUMNS);
+        downloadCsv(csv, buildFileName('matrix-family-matches'));
+    }
+    
+    /**
+     * Open the print-friendly report for this child's matrix matches
+     */
+    openPrintableReport() {
+        this[NavigationMixin.Navigate]({
+            type: 'standard__webPage',
+            attributes: {
+                url: getReportUrl(REPORT_TYPE_MATRIX, this.recordId)
+            }
+        });
+    }
+    
+    /**
+     * Switch between table, detailed and map views
+     */
+    handleViewModeSelect(event) {
+        this.viewMode = event.currentTarget.dataset.mode;
     }
     
     /**
@@ -272,18 +718,6 @@ export default class MatrixFamilyMatchingComponent extends NavigationMixin(Light
     /**
      * Utility methods
      */
-    getScoreClass(score) {
-        if (score >= 80) return 'slds-text-color_success';
-        if (score >= 60) return 'slds-text-color_default';
-        return 'slds-text-color_warning';
-    }
-    
-    getProgressVariant(score) {
-        if (score >= 80) return 'success';
-        if (score >= 60) return 'base';
-        return 'warning';
-    }
-    
     getRankBadgeClass(rank) {
         if (rank === 1) return 'rank-badge-gold';
         if (rank === 2) return 'rank-badge-silver';
@@ -298,13 +732,6 @@ export default class MatrixFamilyMatchingComponent extends NavigationMixin(Light
         return '#' + rank;
     }
     
-    calculateDistanceAdjustment(miles) {
-        if (miles < 10) return '+10 points (Very close)';
-        if (miles < 25) return '0 points (Close)';
-        if (miles < 50) return '-5 points (Moderate)';
-        return '-10 points (Far)';
-    }
-    
     formatDateTime(dt) {
         if (!dt) return 'N/A';
         const date = new Date(dt);
@@ -334,10 +761,74 @@ export default class MatrixFamilyMatchingComponent extends NavigationMixin(Light
     /**
      * Getters for template
      */
+    get showNearMisses() {
+        return this.includeNearMisses && !this.emergencyMode && !this.isRefreshing;
+    }
+    
+    // Emergency mode does not report near misses
+    get isNearMissToggleDisabled() {
+        return this.isRefreshing || this.emergencyMode;
+    }
+    
+    /**
+     * Switch near-miss mode; the matches wire reloads with the new setting
+     */
+    handleNearMissToggle(event) {
+        this.includeNearMisses = event.target.checked;
+    }
+    
+    handleNearMissView(event) {
+        this.navigateToFamily(event.detail.recordId);
+    }
+    
     get hasResults() {
         return this.matchResults && this.matchResults.length > 0;
     }
     
+    get showResults() {
+        return this.hasResults && !this.emergencyMode;
+    }
+    
+    get showNoResults() {
+        return !this.hasResults && !this.emergencyMode;
+    }
+    
+    /**
+     * Switch emergency mode; the call list is searched live because the matrix only
+     * holds scored matches, which the emergency ranking does not use
+     */
+    handleEmergencyToggle(event) {
+        this.emergencyMode = event.target.checked;
+        if (this.emergencyMode) {
+            this.loadEmergencyCandidates();
+        }
+    }
+    
+    loadEmergencyCandidates() {
+        this.isRefreshing = true;
+        getEmergencyCandidates({ childId: this.recordId })
+            .then(candidates => {
+                this.emergencyCandidates = candidates || [];
+                this.logger.info('Emergency placement search completed', { candidates: this.emergencyCandidates.length });
+            })
+            .catch(error => {
+                this.logger.error('Emergency placement search failed', describeError(error));
+                this.showToast('Error', 'Failed to find emergency placements: ' +
+                    this.getErrorMessage(error), 'error');
+            })
+            .finally(() => {
+                this.isRefreshing = false;
+            });
+    }
+    
+    get showEmergencyList() {
+        return this.emergencyMode && !this.isRefreshing;
+    }
+    
+    handleEmergencyCandidateView(event) {
+        this.navigateToFamily(event.detail.recordId);
+    }
+    
     get isTableView() {
         return this.viewMode === 'table';
     }
@@ -346,12 +837,52 @@ export default class MatrixFamilyMatchingComponent extends NavigationMixin(Light
         return this.viewMode === 'detailed';
     }
     
-    get viewModeLabel() {
-        return this.viewMode === 'table' ? 'Detailed View' : 'Table View';
+    get isMapView() {
+        return this.viewMode === 'map';
     }
     
-    get viewModeIcon() {
-        return this.viewMode === 'table' ? 'utility:preview' : 'utility:table';
+    // Cards stay visible under the map so marker clicks can scroll to them
+    get showMatchCards() {
+        return this.viewMode === 'detailed' || this.viewMode === 'map';
+    }
+    
+    /**
+     * The child being placed, taken from the results
+     */
+    get mapAnchor() {
+        const first = (this.matchResults || [])[0];
+        return first ? {
+            latitude: first.childLatitude,
+            longitude: first.childLongitude,
+            title: 'Child',
+            description: 'Child being placed'
+        } : null;
+    }
+    
+    get mapMatches() {
+        return (this.matchResults || []).map(match => ({
+            id: match.matrixId,
+            title: match.familyName,
+            latitude: match.familyLatitude,
+            longitude: match.familyLongitude,
+            score: match.overallScore,
+            distanceMiles: match.distanceMiles,
+            description: match.preferenceName
+        }));
+    }
+    
+    /**
+     * Scroll to the card for a selected map marker
+     */
+    handleMapMatchSelect(event) {
+        const card = this.template.querySelector(`[data-card-id="${event.detail.id}"]`);
+        if (card) {
+            card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    }
+    
+    get isExportDisabled() {
+        return this.isRefreshing || !this.hasResults;
     }
     
     get isBatchRunning() {
@@ -362,7 +893,8 @@ export default class MatrixFamilyMatchingComponent extends NavigationMixin(Light
         if (!this.batchStatus) return '';
         
         if (this.batchStatus.isRunning) {
-            return `Batch ${this.batchStatus.status} - ${this.batchStatus.itemsProcessed} of ${this.batchStatus.totalItems} processed`;
+            const errors = this.batchStatus.errors ? ` • ${this.batchStatus.errors} errors` : '';
+            return `Batch ${this.batchStatus.status} - ${this.batchStatus.itemsProcessed || 0} of ${this.batchStatus.totalItems || 0} processed${errors}`;
         }
         
         if (this.batchStatus.lastRunDate) {
@@ -372,8 +904,13 @@ export default class MatrixFamilyMatchingComponent extends NavigationMixin(Light
         return 'No recent batch runs';
     }
     
+    get batchProgressPercent() {
+        if (!this.batchStatus || !this.batchStatus.totalItems) return 0;
+        return Math.round((this.batchStatus.itemsProcessed || 0) / this.batchStatus.totalItems * 100);
+    }
+    
     get totalMatches() {
-        return this.matchResults ? this.matchResults.length : 0;
+        return this.totalCount;
     }
     
     get topScore() {
@@ -382,8 +919,7 @@ export default class MatrixFamilyMatchingComponent extends NavigationMixin(Light
     }
     
     get avgDistance() {
-        if (!this.matchResults || this.matchResults.length === 0) return 0;
-        const total = this.matchResults.reduce((sum, m) => sum + m.distanceMiles, 0);
-        return (total / this.matchResults.length).toFixed(1);
+        if (this.averageDistance === null || this.averageDistance === undefined) return 0;
+        return Number(this.averageDistance).toFixed(1);
     }
 }
\ No newline at end of file
@@ -0,0 +1,66 @@
+import { createElement } from '@lwc/engine-dom';
+import NearMissList from 'c/nearMissList';
+
+const CANDIDATES = [
+    {
+        id: '001000000000001',
+        name: 'Smith Family',
+        overallScore: 82.4,
+        details: 'Capacity: 1',
+        failedConstraints: [
+            { constraintName: 'Open Beds', message: 'Open Beds: requires 3 beds, is 1 open (2 of 3 beds filled) (2 short)' }
+        ]
+    },
+    {
+        id: '001000000000002',
+        name: 'Jones Family',
+        overallScore: 64,
+        failedConstraints: [
+            { constraintName: 'Training', message: 'Training: requires Complete, is In Progress' },
+            { constraintName: 'Background Check', message: 'Background Check: requires Complete, is Pending' }
+        ]
+    }
+];
+
+describe('c-near-miss-list', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    it('lists each failed constraint under its candidate', () => {
+        const element = createElement('c-near-miss-list', { is: NearMissList });
+        element.candidates = CANDIDATES;
+        document.body.appendChild(element);
+
+        const failures = [...element.shadowRoot.querySelectorAll('.slds-text-color_error li')].map(li => li.textContent);
+        expect(failures).toEqual([
+            'Open Beds: requires 3 beds, is 1 open (2 of 3 beds filled) (2 short)',
+            'Training: requires Complete, is In Progress',
+            'Background Check: requires Complete, is Pending'
+        ]);
+        expect(element.shadowRoot.textContent).toContain('2 near misses');
+    });
+
+    it('shows an empty message without candidates', () => {
+        const element = createElement('c-near-miss-list', { is: NearMissList });
+        element.candidates = [];
+        document.body.appendChild(element);
+
+        expect(element.shadowRoot.textContent).toContain('No candidates fail only one or two hard constraints.');
+    });
+
+    it('fires viewrecord with the candidate id', () => {
+        const element = createElement('c-near-miss-list', { is: NearMissList });
+        element.candidates = CANDIDATES;
+        document.body.appendChild(element);
+        const handler = jest.fn();
+        element.addEventListener('viewrecord', handler);
+
+        element.shadowRoot.querySelector('a[data-id="001000000000002"]').click();
+
+        expect(handler.mock.calls[0][0].detail.recordId).toBe('001000000000002');
+    });
+});
@@ -0,0 +1,48 @@
+import { LightningElement, api } from 'lwc';
+import { getScoreBadgeClass } from 'c/scoringPresentation';
+
+/**
+ * Near misses: candidates failing one or two hard constraints, listed apart from the
+ * qualified matches with each failed constraint and how far off it is.
+ */
+export default class NearMissList extends LightningElement {
+    // [{ id, name, overallScore, details, failedConstraints }], best first
+    @api candidates = [];
+
+    get hasCandidates() {
+        return this.candidates && this.candidates.length > 0;
+    }
+
+    get countLabel() {
+        const count = (this.candidates || []).length;
+        return count === 1 ? '1 near miss' : `${count} near misses`;
+    }
+
+    get rows() {
+        return (this.candidates || []).map(candidate => {
+            const failures = candidate.failedConstraints || [];
+            return {
+                ...candidate,
+                scoreDisplay: Number(candidate.overallScore || 0).toFixed(1),
+                scoreBadgeClass: getScoreBadgeClass(candidate.overallScore),
+                failureCountLabel: failures.length === 1 ? '1 failed constraint' : `${failures.length} failed constraints`,
+                failures: failures.map((failure, index) => ({
+                    key: `${candidate.id}-${index}`,
+                    message: failure.message
+                }))
+            };
+        });
+    }
+
+    /**
+     * Open a candidate's record
+     */
+    handleViewRecord(event) {
+        event.preventDefault();
+        this.dispatchEvent(
+            new CustomEvent('viewrecord', {
+                detail: { recordId: event.currentTarget.dataset.id }
+            })
+        );
+    }
+}
@@ -0,0 +1,120 @@
+import { createElement } from '@lwc/engine-dom';
+import OutreachComposer from 'c/outreachComposer';
+import getOutreachDraft from '@salesforce/apex/FamilyOutreachController.getOutreachDraft';
+import sendOutreach from '@salesforce/apex/FamilyOutreachController.sendOutreach';
+
+jest.mock(
+    '@salesforce/apex/FamilyOutreachController.getOutreachDraft',
+    () => {
+        return { default: jest.fn() };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/FamilyOutreachController.sendOutreach',
+    () => {
+        return { default: jest.fn() };
+    },
+    { virtual: true }
+);
+
+// Resolve pending promise callbacks
+const flushPromises = () => new Promise(process.nextTick);
+
+const DRAFT = {
+    subject: 'Foster placement inquiry: 8-year-old girl',
+    body: 'We are looking for a foster home for a 8-year-old girl.'
+};
+
+const FAMILIES = [
+    { familyId: '001000000000001', familyName: 'Smith Family' },
+    { familyId: '001000000000002', familyName: 'Jones Family' }
+];
+
+async function createComposer(families) {
+    const element = createElement('c-outreach-composer', { is: OutreachComposer });
+    element.childId = 'a00000000000001';
+    element.families = families;
+    document.body.appendChild(element);
+    await flushPromises();
+    return element;
+}
+
+function clickSend(element) {
+    const button = [...element.shadowRoot.querySelectorAll('lightning-button')].find(b => b.label === 'Send');
+    button.click();
+}
+
+describe('c-outreach-composer', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('starts from the draft for the child', async () => {
+        getOutreachDraft.mockResolvedValue(DRAFT);
+        const element = await createComposer(FAMILIES);
+
+        expect(getOutreachDraft).toHaveBeenCalledWith({ childId: 'a00000000000001' });
+        expect(element.shadowRoot.querySelector('lightning-input').value).toBe(DRAFT.subject);
+        expect(element.shadowRoot.querySelector('lightning-textarea').value).toBe(DRAFT.body);
+        expect(element.shadowRoot.querySelector('h2').textContent).toBe('Contact 2 Families');
+        expect(element.shadowRoot.textContent).toContain('Smith Family, Jones Family');
+    });
+
+    it('requires a subject and message', async () => {
+        getOutreachDraft.mockResolvedValue({ subject: '', body: '' });
+        const element = await createComposer(FAMILIES);
+
+        clickSend(element);
+        await flushPromises();
+
+        expect(sendOutreach).not.toHaveBeenCalled();
+        expect(element.shadowRoot.textContent).toContain('Please enter a subject and message');
+    });
+
+    it('fires outreachsent and close when every family is reached', async () => {
+        getOutreachDraft.mockResolvedValue(DRAFT);
+        const results = [{ familyId: '001000000000001', success: true, outreach: { outreachId: 'o1' } }];
+        sendOutreach.mockResolvedValue(results);
+        const element = await createComposer([FAMILIES[0]]);
+        const sentHandler = jest.fn();
+        const closeHandler = jest.fn();
+        element.addEventListener('outreachsent', sentHandler);
+        element.addEventListener('close', closeHandler);
+
+        clickSend(element);
+        await flushPromises();
+
+        expect(sendOutreach).toHaveBeenCalledWith({
+            childId: 'a00000000000001',
+            familyIds: ['001000000000001'],
+            subject: DRAFT.subject,
+            body: DRAFT.body
+        });
+        expect(sentHandler.mock.calls[0][0].detail.results).toEqual(results);
+        expect(closeHandler).toHaveBeenCalled();
+    });
+
+    it('stays open for the families that were not reached', async () => {
+        getOutreachDraft.mockResolvedValue(DRAFT);
+        sendOutreach.mockResolvedValue([
+            { familyId: '001000000000001', success: true, outreach: { outreachId: 'o1' } },
+            { familyId: '001000000000002', familyName: 'Jones Family', success: false, message: 'No caregiver email on file' }
+        ]);
+        const element = await createComposer(FAMILIES);
+        const closeHandler = jest.fn();
+        element.addEventListener('close', closeHandler);
+
+        clickSend(element);
+        await flushPromises();
+
+        expect(closeHandler).not.toHaveBeenCalled();
+        expect(element.shadowRoot.querySelector('h2').textContent).toBe('Contact Jones Family');
+        expect(element.shadowRoot.textContent).toContain('Jones Family: No caregiver email on file');
+    });
+});
@@ -0,0 +1,119 @@
+import { LightningElement, api, track } from 'lwc';
+import getOutreachDraft from '@salesforce/apex/FamilyOutreachController.getOutreachDraft';
+import sendOutreach from '@salesforce/apex/FamilyOutreachController.sendOutreach';
+import { createLogger, describeError } from 'c/logger';
+
+/**
+ * Modal for emailing a child summary to several matched families at once, shared by
+ * reverse and matrix matching. Starts from a draft without identifying details (see
+ * FamilyOutreachController) that the caseworker can edit. Fires "outreachsent" with the
+ * per-family results after each send; families that could not be reached stay listed
+ * with the reason, and "close" fires once all are sent or the modal is cancelled.
+ */
+export default class OutreachComposer extends LightningElement {
+    @api childId;
+    // [{ familyId, familyName }]
+    @api families = [];
+
+    @track pendingFamilies = [];
+    @track subject = '';
+    @track body = '';
+    @track failures = [];
+    @track errorMessage = '';
+    @track isLoading = false;
+    @track isSending = false;
+
+    logger = createLogger('outreachComposer');
+
+    connectedCallback() {
+        this.pendingFamilies = [...(this.families || [])];
+        this.loadDraft();
+    }
+
+    loadDraft() {
+        this.isLoading = true;
+
+        getOutreachDraft({ childId: this.childId })
+            .then(draft => {
+                this.subject = draft.subject;
+                this.body = draft.body;
+            })
+            .catch(error => {
+                this.errorMessage = error.body ? error.body.message : 'Unable to load the outreach message';
+                this.logger.error('Error loading outreach draft', describeError(error));
+            })
+            .finally(() => {
+                this.isLoading = false;
+            });
+    }
+
+    get title() {
+        return this.pendingFamilies.length === 1
+            ? `Contact ${this.pendingFamilies[0].familyName}`
+            : `Contact ${this.pendingFamilies.length} Families`;
+    }
+
+    get recipientNames() {
+        return this.pendingFamilies.map(family => family.familyName).join(', ');
+    }
+
+    get hasFailures() {
+        return this.failures.length > 0;
+    }
+
+    get isSendDisabled() {
+        return this.isLoading || this.isSending || this.pendingFamilies.length === 0;
+    }
+
+    handleSubjectChange(event) {
+        this.subject = event.target.value;
+    }
+
+    handleBodyChange(event) {
+        this.body = event.target.value;
+    }
+
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+
+    handleSend() {
+        if (!this.subject || !this.body) {
+            this.errorMessage = 'Please enter a subject and message';
+            return;
+        }
+
+        this.isSending = true;
+        this.errorMessage = '';
+
+        sendOutreach({
+            childId: this.childId,
+            familyIds: this.pendingFamilies.map(family => family.familyId),
+            subject: this.subject,
+            body: this.body
+        })
+            .then(results => {
+                this.dispatchEvent(new CustomEvent('outreachsent', { detail: { results } }));
+
+                const failed = results.filter(result => !result.success);
+                if (failed.length === 0) {
+                    this.handleClose();
+                    return;
+                }
+                // Keep the families that were not reached, with the reason for each
+                const failedIds = failed.map(result => result.familyId);
+                this.pendingFamilies = this.pendingFamilies.filter(family => failedIds.includes(family.familyId));
+                this.failures = failed.map(result => ({
+                    familyId: result.familyId,
+                    label: `${result.familyName || result.familyId}: ${result.message}`
+                }));
+            })
+            .catch(error => {
+                this.errorMessage = error.body ? error.body.message : 'Unable to send outreach';
+                this.logger.error('Error sending outreach', describeError(error));
+            })
+            .finally(() => {
+                this.isSending = false;
+            });
+    }
+}
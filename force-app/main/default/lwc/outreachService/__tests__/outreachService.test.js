@@ -0,0 +1,45 @@
+import { indexOutreach, loadOutreach, getOutreachDisplay } from 'c/outreachService';
+import getOutreachSummaries from '@salesforce/apex/FamilyOutreachController.getOutreachSummaries';
+
+jest.mock(
+    '@salesforce/apex/FamilyOutreachController.getOutreachSummaries',
+    () => {
+        return { default: jest.fn() };
+    },
+    { virtual: true }
+);
+
+describe('c-outreach-service', () => {
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('indexes outreach by family', () => {
+        const summary = { outreachId: 'o1', familyId: 'f1' };
+        expect(indexOutreach([summary]).f1).toBe(summary);
+        expect(indexOutreach(null)).toEqual({});
+    });
+
+    it('loads the outreach for a child', async () => {
+        getOutreachSummaries.mockResolvedValue([{ outreachId: 'o1', familyId: 'f2' }]);
+
+        const outreach = await loadOutreach('c1');
+
+        expect(getOutreachSummaries).toHaveBeenCalledWith({ childId: 'c1' });
+        expect(Object.keys(outreach)).toEqual(['f2']);
+        expect(await loadOutreach(null)).toEqual({});
+        expect(getOutreachSummaries).toHaveBeenCalledTimes(1);
+    });
+
+    it('shows a blank response as awaiting a reply', () => {
+        const awaiting = getOutreachDisplay({ outreachId: 'o1', sentDate: '2024-05-01T14:30:00.000Z', response: null });
+        expect(awaiting.outreachLabel).toMatch(/^Emailed .+ • Awaiting reply$/);
+        expect(awaiting.outreachClass).toContain('slds-text-color_weak');
+
+        const interested = getOutreachDisplay({ outreachId: 'o1', sentDate: '2024-05-01T14:30:00.000Z', response: 'Interested' });
+        expect(interested.outreachLabel).toMatch(/• Interested$/);
+        expect(interested.outreachClass).toContain('slds-text-color_success');
+
+        expect(getOutreachDisplay(null)).toEqual({ outreach: null, outreachLabel: '', outreachClass: '' });
+    });
+});
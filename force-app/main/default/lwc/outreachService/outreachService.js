@@ -0,0 +1,53 @@
+import getOutreachSummaries from '@salesforce/apex/FamilyOutreachController.getOutreachSummaries';
+
+/**
+ * Family outreach for match cards: the latest outreach to each family for a child,
+ * keyed by family, and how to show it. A blank response is still awaiting a reply.
+ */
+
+export const RESPONSE_OPTIONS = [
+    { label: 'Interested', value: 'Interested' },
+    { label: 'Declined', value: 'Declined' },
+    { label: 'No Reply', value: 'No Reply' }
+];
+
+const RESPONSE_CLASSES = {
+    Interested: 'slds-text-body_small slds-text-color_success',
+    Declined: 'slds-text-body_small slds-text-color_error'
+};
+
+/**
+ * Index outreach summaries by family
+ */
+export function indexOutreach(summaries) {
+    const outreachByFamily = {};
+    (summaries || []).forEach(summary => {
+        outreachByFamily[summary.familyId] = summary;
+    });
+    return outreachByFamily;
+}
+
+/**
+ * Latest outreach to each family for the child, keyed by family ID
+ */
+export function loadOutreach(childId) {
+    if (!childId) {
+        return Promise.resolve({});
+    }
+    return getOutreachSummaries({ childId }).then(indexOutreach);
+}
+
+/**
+ * Match row fields for a family's outreach: outreach, outreachLabel and outreachClass
+ */
+export function getOutreachDisplay(summary) {
+    if (!summary) {
+        return { outreach: null, outreachLabel: '', outreachClass: '' };
+    }
+    const sent = new Date(summary.sentDate).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    return {
+        outreach: summary,
+        outreachLabel: `Emailed ${sent} • ${summary.response || 'Awaiting reply'}`,
+        outreachClass: RESPONSE_CLASSES[summary.response] || 'slds-text-body_small slds-text-color_weak'
+    };
+}
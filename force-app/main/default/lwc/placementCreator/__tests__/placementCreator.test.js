@@ -0,0 +1,104 @@
+import { createElement } from '@lwc/engine-dom';
+import PlacementCreator from 'c/placementCreator';
+import getPlacementContext from '@salesforce/apex/PlacementController.getPlacementContext';
+import createPlacement from '@salesforce/apex/PlacementController.createPlacement';
+
+jest.mock(
+    '@salesforce/apex/PlacementController.getPlacementContext',
+    () => {
+        return { default: jest.fn() };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/PlacementController.createPlacement',
+    () => {
+        return { default: jest.fn() };
+    },
+    { virtual: true }
+);
+
+// Resolve pending promise callbacks
+const flushPromises = () => new Promise(process.nextTick);
+
+const CONTEXT = {
+    matchResultId: 'a02000000000001',
+    completedVisits: [
+        { visitId: 'v2', visitName: 'PPV-0002', visitType: 'In-Home Visit', startTime: '2026-01-10T10:00:00.000Z' },
+        { visitId: 'v1', visitName: 'PPV-0001', visitType: 'Virtual Meeting', startTime: '2026-01-03T10:00:00.000Z' }
+    ]
+};
+
+async function createCreator() {
+    const element = createElement('c-placement-creator', { is: PlacementCreator });
+    element.matchResultId = 'a02000000000001';
+    element.childName = 'Test Child';
+    element.familyName = 'Test Family';
+    document.body.appendChild(element);
+    await flushPromises();
+    return element;
+}
+
+function getCombobox(element, label) {
+    return [...element.shadowRoot.querySelectorAll('lightning-combobox')].find(box => box.label === label);
+}
+
+function clickCreate(element) {
+    const button = [...element.shadowRoot.querySelectorAll('lightning-button')].find(
+        b => b.label === 'Create Placement'
+    );
+    button.click();
+}
+
+describe('c-placement-creator', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('selects the most recent completed visit by default', async () => {
+        getPlacementContext.mockResolvedValue(CONTEXT);
+        const element = await createCreator();
+
+        const visitBox = getCombobox(element, 'Pre-Placement Visit');
+        expect(visitBox.value).toBe('v2');
+        expect(visitBox.options).toHaveLength(3);
+    });
+
+    it('requires a placement type before saving', async () => {
+        getPlacementContext.mockResolvedValue(CONTEXT);
+        const element = await createCreator();
+
+        clickCreate(element);
+        await flushPromises();
+
+        expect(createPlacement).not.toHaveBeenCalled();
+        expect(element.shadowRoot.querySelector('.slds-alert_error').textContent).toContain('placement type');
+    });
+
+    it('creates the placement and fires placementcreated', async () => {
+        getPlacementContext.mockResolvedValue(CONTEXT);
+        createPlacement.mockResolvedValue('a03000000000001');
+        const element = await createCreator();
+        const handler = jest.fn();
+        element.addEventListener('placementcreated', handler);
+
+        const typeBox = getCombobox(element, 'Placement Type');
+        typeBox.dispatchEvent(new CustomEvent('change', { detail: { value: 'Permanent' } }));
+        clickCreate(element);
+        await flushPromises();
+
+        expect(createPlacement).toHaveBeenCalledWith(
+            expect.objectContaining({
+                matchResultId: 'a02000000000001',
+                placementType: 'Permanent',
+                preVisitId: 'v2'
+            })
+        );
+        expect(handler.mock.calls[0][0].detail.placementId).toBe('a03000000000001');
+    });
+});
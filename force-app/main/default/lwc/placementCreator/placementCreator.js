@@ -0,0 +1,143 @@
+import { LightningElement, api, track } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getPlacementContext from '@salesforce/apex/PlacementController.getPlacementContext';
+import createPlacement from '@salesforce/apex/PlacementController.createPlacement';
+import { createLogger, describeError } from 'c/logger';
+
+// Placement__c.Placement_Type__c values
+const PLACEMENT_TYPE_OPTIONS = [
+    { label: 'Temporary', value: 'Temporary' },
+    { label: 'Permanent', value: 'Permanent' },
+    { label: 'Emergency', value: 'Emergency' },
+    { label: 'Kinship', value: 'Kinship' }
+];
+
+const NO_VISIT_VALUE = '';
+
+/**
+ * Modal form for creating a Placement__c from an Outreach Approved match.
+ * Completed pre-placement visits between the child and family can be linked;
+ * the most recent one is selected by default.
+ * Fires "placementcreated" with the new placement id, or "close" when cancelled.
+ */
+export default class PlacementCreator extends LightningElement {
+    @api matchResultId;
+    @api childName;
+    @api familyName;
+
+    @track placementType = '';
+    @track startDate = toDateValue(new Date());
+    @track reason = '';
+    @track preVisitId = NO_VISIT_VALUE;
+    @track completedVisits = [];
+    @track errorMessage = '';
+    @track isLoading = false;
+    @track isSaving = false;
+
+    placementTypeOptions = PLACEMENT_TYPE_OPTIONS;
+    logger = createLogger('placementCreator');
+
+    connectedCallback() {
+        this.loadContext();
+    }
+
+    loadContext() {
+        this.isLoading = true;
+        this.logger.setContext({ recordId: this.matchResultId });
+
+        getPlacementContext({ matchResultId: this.matchResultId })
+            .then(context => {
+                this.completedVisits = (context && context.completedVisits) || [];
+                // Visits come back most recent first
+                this.preVisitId = this.completedVisits.length ? this.completedVisits[0].visitId : NO_VISIT_VALUE;
+            })
+            .catch(error => {
+                this.errorMessage = error.body ? error.body.message : 'Unable to load completed visits';
+                this.logger.error('Error loading placement context', describeError(error));
+            })
+            .finally(() => {
+                this.isLoading = false;
+            });
+    }
+
+    get visitOptions() {
+        return [
+            { label: 'No visit', value: NO_VISIT_VALUE },
+            ...this.completedVisits.map(visit => ({
+                label: `${visit.visitName} - ${visit.visitType} (${new Date(visit.startTime).toLocaleDateString()})`,
+                value: visit.visitId
+            }))
+        ];
+    }
+
+    get hasCompletedVisits() {
+        return this.completedVisits.length > 0;
+    }
+
+    get isSaveDisabled() {
+        return this.isSaving || this.isLoading;
+    }
+
+    handlePlacementTypeChange(event) {
+        this.placementType = event.detail.value;
+    }
+
+    handleStartDateChange(event) {
+        this.startDate = event.target.value;
+    }
+
+    handleReasonChange(event) {
+        this.reason = event.target.value;
+    }
+
+    handleVisitChange(event) {
+        this.preVisitId = event.detail.value;
+    }
+
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+
+    handleSave() {
+        this.template.querySelectorAll('lightning-input, lightning-combobox').forEach(input => input.reportValidity());
+        if (!this.placementType || !this.startDate) {
+            this.errorMessage = 'Select a placement type and start date';
+            return;
+        }
+
+        this.isSaving = true;
+        this.errorMessage = '';
+
+        createPlacement({
+            matchResultId: this.matchResultId,
+            placementType: this.placementType,
+            startDate: this.startDate,
+            reason: this.reason,
+            preVisitId: this.preVisitId
+        })
+            .then(placementId => {
+                this.dispatchEvent(new ShowToastEvent({
+                    title: 'Placement Created',
+                    message: `${this.childName} has been placed with ${this.familyName}`,
+                    variant: 'success'
+                }));
+                this.dispatchEvent(new CustomEvent('placementcreated', {
+                    detail: { placementId, matchResultId: this.matchResultId }
+                }));
+            })
+            .catch(error => {
+                this.errorMessage = error.body ? error.body.message : 'Unable to create placement';
+                this.logger.warn('Placement not created', describeError(error));
+            })
+            .finally(() => {
+                this.isSaving = false;
+            });
+    }
+}
+
+// yyyy-mm-dd in local time, as lightning-input type="date" expects
+function toDateValue(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
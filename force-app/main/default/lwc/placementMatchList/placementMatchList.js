@@ -1,16 +1,35 @@
-import { LightningElement, api } from 'lwc';
+import { LightningElement, api, track } from 'lwc';
 import { NavigationMixin } from 'lightning/navigation';
+import { loadScoringSettings, getScoreBadgeClass } from 'c/scoringPresentation';
 
 export default class PlacementMatchList extends NavigationMixin(LightningElement) {
-    @api value; // Receives the 'PlacementResults' Apex object
+    _value; // The 'PlacementResults' Apex object
+    @track matches = [];
     
-    get matches() {
-        if (!this.value || !this.value.matches) return [];
+    @api
+    get value() {
+        return this._value;
+    }
+    set value(value) {
+        this._value = value;
+        this.buildMatches();
+    }
+    
+    connectedCallback() {
+        // Rebuild badges once the matching settings arrive
+        loadScoringSettings().then(() => this.buildMatches());
+    }
+    
+    buildMatches() {
+        if (!this._value || !this._value.matches) {
+            this.matches = [];
+            return;
+        }
         
-        return this.value.matches.map(m => ({
+        this.matches = this._value.matches.map(m => ({
             ...m,
             scoreLabel: m.score + '% Match',
-            badgeClass: m.score > 80 ? 'slds-theme_success' : 'slds-theme_warning'
+            badgeClass: getScoreBadgeClass(m.score)
         }));
     }
 
@@ -4,6 +4,7 @@ import { refreshApex } from '@salesforce/apex';
 import uploadAndProcessResume from '@salesforce/apex/DocumentAIResume.uploadAndProcessResume';
 import getResumeDetails from '@salesforce/apex/DocumentAIResume.getResumeDetails';
 import getAllResumes from '@salesforce/apex/DocumentAIResume.getAllResumes';
+import { createLogger, describeError } from 'c/logger';
 
 const ACCEPTED_FORMATS = ['.pdf', '.doc', '.docx'];
 const MAX_FILE_SIZE = 10485760; // 10MB
@@ -24,6 +25,7 @@ export default class ResumeUploader extends LightningElement {
     
     allResumesData = [];
     wiredResumesResult;
+    logger = createLogger('resumeUploader');
     pollInterval = null;
 
     // Wire service to get all resumes with refresh capability
@@ -342,11 +344,13 @@ export default class ResumeUploader extends LightningElement {
         this.clearPollInterval();
         this.isLoading = false;
         this.processingStatus = '';
-        console.error('Polling error:', error);
+        this.logger.setContext({ recordId: this.uploadedResumeId });
+        this.logger.error('Polling error', describeError(error));
     }
 
     handleError(title, error) {
-        console.error(`${title}:`, error);
+        this.logger.setContext({ recordId: this.uploadedResumeId });
+        this.logger.error(title, describeError(error));
         this.showToast(title, this.getErrorMessage(error), 'error');
     }
 
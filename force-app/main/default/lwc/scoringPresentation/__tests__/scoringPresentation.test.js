@@ -0,0 +1,75 @@
+import {
+    loadScoringSettings,
+    applyScoringSettings,
+    resetScoringSettings,
+    getScoreBand,
+    getScoreBadgeClass,
+    getScoreExplanation,
+    getCriterionExplanation,
+    getDistanceAdjustmentPoints,
+    getDistanceAdjustmentLabel,
+    formatValue
+} from 'c/scoringPresentation';
+import getSettings from '@salesforce/apex/MatchingSettings.getSettings';
+
+jest.mock(
+    '@salesforce/apex/MatchingSettings.getSettings',
+    () => {
+        return { default: jest.fn() };
+    },
+    { virtual: true }
+);
+
+describe('c-scoring-presentation', () => {
+    afterEach(() => {
+        resetScoringSettings();
+        jest.clearAllMocks();
+    });
+
+    it('uses the default score and distance bands', () => {
+        expect(getScoreBand(80)).toBe('excellent');
+        expect(getScoreBand(79.9)).toBe('good');
+        expect(getScoreBadgeClass(45)).toBe('slds-theme_warning');
+        expect(getScoreExplanation(0)).toBe('✗ Does not match preference');
+        expect(getDistanceAdjustmentPoints(9)).toBe(10);
+        expect(getDistanceAdjustmentLabel(30)).toBe('-5 points (Moderate distance)');
+        expect(getDistanceAdjustmentLabel(60)).toBe('-10 points (Far distance)');
+    });
+
+    it('applies thresholds loaded from the matching settings', async () => {
+        getSettings.mockResolvedValue({ excellentScore: 90, nearDistanceMiles: 5, nearDistancePoints: 15 });
+
+        await loadScoringSettings();
+
+        expect(getScoreBand(85)).toBe('good');
+        expect(getDistanceAdjustmentLabel(4)).toBe('+15 points (Very close)');
+        expect(getDistanceAdjustmentLabel(8)).toBe('0 points (Close)');
+    });
+
+    it('keeps defaults when settings fail to load or are blank', async () => {
+        getSettings.mockRejectedValue(new Error('boom'));
+        const consoleWarn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        await loadScoringSettings();
+        applyScoringSettings({ goodScore: null });
+
+        expect(getScoreBand(60)).toBe('good');
+        consoleWarn.mockRestore();
+    });
+
+    it('prefixes the matching-logic explanation with a score symbol', () => {
+        expect(
+            getCriterionExplanation({ score: '0.00', explanation: 'Child is 14, preference range is 5–12 (2 years over)' })
+        ).toBe('✗ Child is 14, preference range is 5–12 (2 years over)');
+        expect(getCriterionExplanation({ score: 50, explanation: 'Covers 1 of 2 child needs; not covered: Asthma' })).toBe(
+            '⚠ Covers 1 of 2 child needs; not covered: Asthma'
+        );
+        expect(getCriterionExplanation({ score: 100 })).toBe('✓ Perfect match - meets all criteria');
+    });
+
+    it('formats field values for display', () => {
+        expect(formatValue('')).toBe('No Preference');
+        expect(formatValue(true)).toBe('Yes');
+        expect(formatValue(3)).toBe('3');
+    });
+});
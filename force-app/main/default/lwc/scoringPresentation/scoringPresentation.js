@@ -0,0 +1,244 @@
+import getSettings from '@salesforce/apex/MatchingSettings.getSettings';
+import { createLogger, describeError } from 'c/logger';
+
+/**
+ * Score bands, distance bands, explanation text and value formatting shared by
+ * every matching component. Thresholds come from the Matching_Setting__mdt
+ * "Default" record via MatchingSettings.getSettings, so the UI uses the same
+ * bands as the Apex scoring. Until loadScoringSettings resolves (or if it fails)
+ * the original hard-coded thresholds are used.
+ */
+
+export const SCORE_BAND_EXCELLENT = 'excellent';
+export const SCORE_BAND_GOOD = 'good';
+export const SCORE_BAND_FAIR = 'fair';
+export const SCORE_BAND_POOR = 'poor';
+
+const DEFAULT_SETTINGS = {
+    excellentScore: 80,
+    goodScore: 60,
+    fairScore: 40,
+    nearDistanceMiles: 10,
+    closeDistanceMiles: 25,
+    moderateDistanceMiles: 50,
+    nearDistancePoints: 10,
+    closeDistancePoints: 0,
+    moderateDistancePoints: -5,
+    farDistancePoints: -10
+};
+
+const logger = createLogger('scoringPresentation');
+
+let settings = { ...DEFAULT_SETTINGS };
+let loadPromise;
+
+/**
+ * Fetch thresholds from Apex once per page. Always resolves, falling back to defaults.
+ */
+export function loadScoringSettings() {
+    if (!loadPromise) {
+        loadPromise = Promise.resolve()
+            .then(() => getSettings())
+            .then(result => {
+                applyScoringSettings(result);
+                return getScoringSettings();
+            })
+            .catch(error => {
+                logger.warn('Error loading matching settings, using defaults', describeError(error));
+                return getScoringSettings();
+            });
+    }
+    return loadPromise;
+}
+
+/**
+ * Apply threshold values; blank or non-numeric values keep their current setting
+ */
+export function applyScoringSettings(values) {
+    const next = { ...settings };
+    Object.keys(DEFAULT_SETTINGS).forEach(key => {
+        const value = values ? values[key] : null;
+        if (value !== null && value !== undefined && value !== '' && !isNaN(Number(value))) {
+            next[key] = Number(value);
+        }
+    });
+    settings = next;
+}
+
+/**
+ * Restore the default thresholds and forget any loaded settings
+ */
+export function resetScoringSettings() {
+    settings = { ...DEFAULT_SETTINGS };
+    loadPromise = undefined;
+}
+
+export function getScoringSettings() {
+    return { ...settings };
+}
+
+/**
+ * Score band key for a 0-100 score
+ */
+export function getScoreBand(score) {
+    const value = toNumber(score);
+    if (value >= settings.excellentScore) return SCORE_BAND_EXCELLENT;
+    if (value >= settings.goodScore) return SCORE_BAND_GOOD;
+    if (value >= settings.fairScore) return SCORE_BAND_FAIR;
+    return SCORE_BAND_POOR;
+}
+
+/**
+ * Band labels with their score ranges, best first
+ */
+export function getScoreBandLegend() {
+    return [
+        { band: SCORE_BAND_EXCELLENT, label: `Excellent (${settings.excellentScore}+)` },
+        { band: SCORE_BAND_GOOD, label: `Good (${settings.goodScore}-${settings.excellentScore - 1})` },
+        { band: SCORE_BAND_FAIR, label: `Fair (${settings.fairScore}-${settings.goodScore - 1})` },
+        { band: SCORE_BAND_POOR, label: `Poor (< ${settings.fairScore})` }
+    ];
+}
+
+/**
+ * Text color class for an overall score
+ */
+export function getScoreClass(score) {
+    switch (getScoreBand(score)) {
+        case SCORE_BAND_EXCELLENT:
+            return 'slds-text-color_success';
+        case SCORE_BAND_GOOD:
+            return 'slds-text-color_default';
+        default:
+            return 'slds-text-color_warning';
+    }
+}
+
+/**
+ * Badge theme class for a score
+ */
+export function getScoreBadgeClass(score) {
+    switch (getScoreBand(score)) {
+        case SCORE_BAND_EXCELLENT:
+            return 'slds-theme_success';
+        case SCORE_BAND_GOOD:
+            return 'slds-theme_info';
+        case SCORE_BAND_FAIR:
+            return 'slds-theme_warning';
+        default:
+            return 'slds-theme_error';
+    }
+}
+
+/**
+ * lightning-progress-bar variant for a score
+ */
+export function getProgressVariant(score) {
+    switch (getScoreBand(score)) {
+        case SCORE_BAND_EXCELLENT:
+            return 'success';
+        case SCORE_BAND_GOOD:
+            return 'base';
+        default:
+            return 'warning';
+    }
+}
+
+/**
+ * Plain-language explanation for a criterion score
+ */
+export function getScoreExplanation(score) {
+    const value = toNumber(score);
+
+    if (value === 100) {
+        return '✓ Perfect match - meets all criteria';
+    }
+
+    switch (getScoreBand(value)) {
+        case SCORE_BAND_EXCELLENT:
+            return '✓ Excellent match - very close to preferences';
+        case SCORE_BAND_GOOD:
+            return '⚠ Good match - some differences from preference';
+        case SCORE_BAND_FAIR:
+            return '⚠ Partial match - notable differences';
+        default:
+            return value > 0 ? '⚠ Low match - significant differences' : '✗ Does not match preference';
+    }
+}
+
+/**
+ * Leading symbol for a criterion explanation: ✓ excellent, ⚠ partial, ✗ no match
+ */
+export function getScoreIcon(score) {
+    const value = toNumber(score);
+    if (getScoreBand(value) === SCORE_BAND_EXCELLENT) return '✓';
+    return value > 0 ? '⚠' : '✗';
+}
+
+/**
+ * Explanation for one detailedScores entry. The matching services word it from the
+ * criterion's matching logic and values (MatchExplanationService); entries without
+ * one fall back to the score-band wording.
+ */
+export function getCriterionExplanation(scoreData) {
+    const score = scoreData ? scoreData.score : 0;
+    if (scoreData && scoreData.explanation) {
+        return `${getScoreIcon(score)} ${scoreData.explanation}`;
+    }
+    return getScoreExplanation(score);
+}
+
+/**
+ * Display text for a preference or child field value
+ */
+export function formatValue(value) {
+    if (value === null || value === undefined || value === '') {
+        return 'No Preference';
+    }
+
+    if (typeof value === 'boolean') {
+        return value ? 'Yes' : 'No';
+    }
+
+    if (typeof value === 'number') {
+        return value.toString();
+    }
+
+    return String(value);
+}
+
+/**
+ * Upper limits of the near, close and moderate distance bands, in miles
+ */
+export function getDistanceBandsMiles() {
+    return [settings.nearDistanceMiles, settings.closeDistanceMiles, settings.moderateDistanceMiles];
+}
+
+/**
+ * Overall score adjustment for a distance, matching MatchingSettings.getDistanceAdjustment
+ */
+export function getDistanceAdjustmentPoints(miles) {
+    const value = toNumber(miles);
+    if (value < settings.nearDistanceMiles) return settings.nearDistancePoints;
+    if (value < settings.closeDistanceMiles) return settings.closeDistancePoints;
+    if (value < settings.moderateDistanceMiles) return settings.moderateDistancePoints;
+    return settings.farDistancePoints;
+}
+
+/**
+ * Distance adjustment with its band label, e.g. "+10 points (Very close)"
+ */
+export function getDistanceAdjustmentLabel(miles) {
+    const value = toNumber(miles);
+    const points = getDistanceAdjustmentPoints(value);
+    const pointsLabel = `${points > 0 ? '+' : ''}${points} points`;
+
+    if (value < settings.nearDistanceMiles) return `${pointsLabel} (Very close)`;
+    if (value < settings.closeDistanceMiles) return `${pointsLabel} (Close)`;
+    if (value < settings.moderateDistanceMiles) return `${pointsLabel} (Moderate distance)`;
+    return `${pointsLabel} (Far distance)`;
+}
+
+function toNumber(value) {
+    return typeof value === 'string' ? parseFloat(value) : (value || 0);
+}
@@ -0,0 +1,66 @@
+import { createElement } from '@lwc/engine-dom';
+import SiblingSplitList from 'c/siblingSplitList';
+
+const ALTERNATIVES = [
+    {
+        homeCount: 2,
+        averageScore: 78.5,
+        unplacedChildNames: [],
+        homes: [
+            { familyId: '001000000000001', familyName: 'Smith Family', childNames: 'Maya and Leo', averageScore: 81, bedsLabel: '1 of 3 beds filled', distanceMiles: 4.2 },
+            { familyId: '001000000000002', familyName: 'Jones Family', childNames: 'Ava', averageScore: 73.5 }
+        ]
+    },
+    {
+        homeCount: 1,
+        averageScore: 70,
+        unplacedChildNames: ['Ava'],
+        homes: [
+            { familyId: '001000000000003', familyName: 'Lee Family', childNames: 'Maya and Leo', averageScore: 70 }
+        ]
+    }
+];
+
+describe('c-sibling-split-list', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    it('lists each home with the siblings it takes', () => {
+        const element = createElement('c-sibling-split-list', { is: SiblingSplitList });
+        element.alternatives = ALTERNATIVES;
+        document.body.appendChild(element);
+
+        const homes = [...element.shadowRoot.querySelectorAll('li.split-home')].map(li => li.textContent.replace(/\s+/g, ' ').trim());
+        expect(homes).toEqual([
+            'Smith Family takes Maya and Leo (81.0) • 1 of 3 beds filled • 4.2 miles away',
+            'Jones Family takes Ava (73.5)',
+            'Lee Family takes Maya and Leo (70.0)'
+        ]);
+        expect(element.shadowRoot.textContent).toContain('Option 1: 2 homes');
+        expect(element.shadowRoot.textContent).toContain('No home found for Ava');
+    });
+
+    it('shows an empty message without alternatives', () => {
+        const element = createElement('c-sibling-split-list', { is: SiblingSplitList });
+        element.alternatives = [];
+        document.body.appendChild(element);
+
+        expect(element.shadowRoot.textContent).toContain('No families can take any of the siblings.');
+    });
+
+    it('fires viewrecord with the family id', () => {
+        const element = createElement('c-sibling-split-list', { is: SiblingSplitList });
+        element.alternatives = ALTERNATIVES;
+        document.body.appendChild(element);
+        const handler = jest.fn();
+        element.addEventListener('viewrecord', handler);
+
+        element.shadowRoot.querySelector('a[data-id="001000000000002"]').click();
+
+        expect(handler.mock.calls[0][0].detail.recordId).toBe('001000000000002');
+    });
+});
@@ -0,0 +1,50 @@
+import { LightningElement, api } from 'lwc';
+import { getScoreBadgeClass } from 'c/scoringPresentation';
+
+/**
+ * Split placements for a sibling group, shown only when no family can keep the siblings
+ * together: each alternative lists its homes and the siblings each one would take.
+ */
+export default class SiblingSplitList extends LightningElement {
+    // SiblingGroupMatchingService.SplitPlacement records, best first
+    @api alternatives = [];
+
+    get hasAlternatives() {
+        return this.alternatives && this.alternatives.length > 0;
+    }
+
+    get rows() {
+        return (this.alternatives || []).map((alternative, index) => {
+            const unplaced = alternative.unplacedChildNames || [];
+            return {
+                key: `alternative-${index}`,
+                title: `Option ${index + 1}: ${alternative.homeCount === 1 ? '1 home' : `${alternative.homeCount} homes`}`,
+                scoreDisplay: Number(alternative.averageScore || 0).toFixed(1),
+                scoreBadgeClass: getScoreBadgeClass(alternative.averageScore),
+                hasUnplaced: unplaced.length > 0,
+                unplacedLabel: `No home found for ${unplaced.join(', ')}`,
+                homes: (alternative.homes || []).map(home => ({
+                    ...home,
+                    key: `${index}-${home.familyId}`,
+                    details: [
+                        home.bedsLabel,
+                        home.distanceMiles != null ? `${home.distanceMiles} miles away` : null
+                    ].filter(Boolean).join(' • '),
+                    scoreDisplay: Number(home.averageScore || 0).toFixed(1)
+                }))
+            };
+        });
+    }
+
+    /**
+     * Open a home's family record
+     */
+    handleViewRecord(event) {
+        event.preventDefault();
+        this.dispatchEvent(
+            new CustomEvent('viewrecord', {
+                detail: { recordId: event.currentTarget.dataset.id }
+            })
+        );
+    }
+}
@@ -0,0 +1,94 @@
+import { createElement } from '@lwc/engine-dom';
+import VisitScheduler from 'c/visitScheduler';
+import scheduleVisit from '@salesforce/apex/PrePlacementVisitController.scheduleVisit';
+
+jest.mock(
+    '@salesforce/apex/PrePlacementVisitController.scheduleVisit',
+    () => {
+        return { default: jest.fn() };
+    },
+    { virtual: true }
+);
+
+// Resolve pending promise callbacks
+const flushPromises = () => new Promise(process.nextTick);
+
+function createScheduler() {
+    const element = createElement('c-visit-scheduler', { is: VisitScheduler });
+    element.childId = 'a01000000000001';
+    element.childName = 'Test Child';
+    element.familyId = '001000000000001';
+    element.familyName = 'Test Family';
+    document.body.appendChild(element);
+    return element;
+}
+
+function fillTimes(element, start, end) {
+    const [startInput, endInput] = [...element.shadowRoot.querySelectorAll('lightning-input')].filter(
+        input => input.type === 'datetime'
+    );
+    startInput.value = start;
+    startInput.dispatchEvent(new CustomEvent('change'));
+    endInput.value = end;
+    endInput.dispatchEvent(new CustomEvent('change'));
+}
+
+function clickSchedule(element) {
+    const button = [...element.shadowRoot.querySelectorAll('lightning-button')].find(b => b.label === 'Schedule');
+    button.click();
+}
+
+describe('c-visit-scheduler', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('pre-fills the child and family', () => {
+        const element = createScheduler();
+
+        const values = [...element.shadowRoot.querySelectorAll('lightning-input')].map(input => input.value);
+        expect(values).toContain('Test Child');
+        expect(values).toContain('Test Family');
+    });
+
+    it('creates the visit and fires visitscheduled', async () => {
+        const visit = { visitId: 'v1', childId: 'a01000000000001', familyId: '001000000000001' };
+        scheduleVisit.mockResolvedValue(visit);
+        const element = createScheduler();
+        const handler = jest.fn();
+        element.addEventListener('visitscheduled', handler);
+
+        fillTimes(element, '2030-01-01T10:00:00.000Z', '2030-01-01T11:00:00.000Z');
+        clickSchedule(element);
+        await flushPromises();
+
+        expect(scheduleVisit).toHaveBeenCalledWith(
+            expect.objectContaining({
+                childId: 'a01000000000001',
+                familyId: '001000000000001',
+                visitType: 'In-Home Visit'
+            })
+        );
+        expect(handler.mock.calls[0][0].detail.visit).toEqual(visit);
+    });
+
+    it('shows overlap errors in the form without closing', async () => {
+        scheduleVisit.mockRejectedValue({ body: { message: 'This visit overlaps a visit for this family' } });
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const element = createScheduler();
+        const handler = jest.fn();
+        element.addEventListener('visitscheduled', handler);
+
+        fillTimes(element, '2030-01-01T10:00:00.000Z', '2030-01-01T11:00:00.000Z');
+        clickSchedule(element);
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.slds-alert_error').textContent).toContain('overlaps');
+        expect(handler).not.toHaveBeenCalled();
+        warn.mockRestore();
+    });
+});
@@ -0,0 +1,118 @@
+import { LightningElement, api, track } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import scheduleVisit from '@salesforce/apex/PrePlacementVisitController.scheduleVisit';
+import { createLogger, describeError } from 'c/logger';
+
+// Pre_Placement_Visit__c.Visit_Type__c values
+const VISIT_TYPE_OPTIONS = [
+    { label: 'In-Home Visit', value: 'In-Home Visit' },
+    { label: 'Virtual Meeting', value: 'Virtual Meeting' },
+    { label: 'Neutral Location Visit', value: 'Neutral Location Visit' }
+];
+
+// Pre_Placement_Visit__c.Supervision_Required__c values
+const SUPERVISION_OPTIONS = [
+    { label: 'Yes', value: 'Yes' },
+    { label: 'No', value: 'No' }
+];
+
+/**
+ * Modal form for scheduling a pre-placement visit between one child and one family.
+ * Fires "visitscheduled" with the created visit, or "close" when cancelled.
+ */
+export default class VisitScheduler extends LightningElement {
+    @api childId;
+    @api familyId;
+    @api childName;
+    @api familyName;
+
+    @track startTime = '';
+    @track endTime = '';
+    @track visitType = 'In-Home Visit';
+    @track location = '';
+    @track supervisionRequired = 'Yes';
+    @track errorMessage = '';
+    @track isSaving = false;
+
+    visitTypeOptions = VISIT_TYPE_OPTIONS;
+    supervisionOptions = SUPERVISION_OPTIONS;
+    logger = createLogger('visitScheduler');
+
+    get locationLabel() {
+        if (this.visitType === 'Neutral Location Visit') {
+            return 'Neutral Location';
+        }
+        return this.visitType === 'Virtual Meeting' ? 'Meeting Link or Details' : 'Visit Address';
+    }
+
+    get isSaveDisabled() {
+        return this.isSaving;
+    }
+
+    handleStartChange(event) {
+        this.startTime = event.target.value;
+    }
+
+    handleEndChange(event) {
+        this.endTime = event.target.value;
+    }
+
+    handleVisitTypeChange(event) {
+        this.visitType = event.detail.value;
+    }
+
+    handleLocationChange(event) {
+        this.location = event.target.value;
+    }
+
+    handleSupervisionChange(event) {
+        this.supervisionRequired = event.detail.value;
+    }
+
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+
+    handleSave() {
+        this.template.querySelectorAll('lightning-input, lightning-combobox').forEach(input => input.reportValidity());
+        if (!this.startTime || !this.endTime || !this.visitType) {
+            this.errorMessage = 'Enter a start time, end time and visit type';
+            return;
+        }
+
+        if (new Date(this.endTime) <= new Date(this.startTime)) {
+            this.errorMessage = 'The visit must end after it starts';
+            return;
+        }
+
+        this.isSaving = true;
+        this.errorMessage = '';
+        this.logger.setContext({ recordId: this.childId });
+
+        scheduleVisit({
+            childId: this.childId,
+            familyId: this.familyId,
+            startTime: this.startTime,
+            endTime: this.endTime,
+            visitType: this.visitType,
+            location: this.location,
+            supervisionRequired: this.supervisionRequired
+        })
+            .then(visit => {
+                this.dispatchEvent(new ShowToastEvent({
+                    title: 'Visit Scheduled',
+                    message: `Pre-placement visit scheduled for ${this.childName} with ${this.familyName}`,
+                    variant: 'success'
+                }));
+                this.dispatchEvent(new CustomEvent('visitscheduled', { detail: { visit } }));
+            })
+            .catch(error => {
+                // Overlaps and validation failures are shown in the form so the times can be changed
+                this.errorMessage = error.body ? error.body.message : 'Unable to schedule visit';
+                this.logger.warn('Visit not scheduled', describeError(error));
+            })
+            .finally(() => {
+                this.isSaving = false;
+            });
+    }
+}
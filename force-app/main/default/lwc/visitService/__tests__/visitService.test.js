@@ -0,0 +1,36 @@
+import { getVisitKey, indexVisits, loadUpcomingVisits } from 'c/visitService';
+import getUpcomingVisits from '@salesforce/apex/PrePlacementVisitController.getUpcomingVisits';
+
+jest.mock(
+    '@salesforce/apex/PrePlacementVisitController.getUpcomingVisits',
+    () => {
+        return { default: jest.fn() };
+    },
+    { virtual: true }
+);
+
+describe('c-visit-service', () => {
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('indexes visits by child and family', () => {
+        const visit = { visitId: 'v1', childId: 'c1', familyId: 'f1' };
+        expect(indexVisits([visit])[getVisitKey('c1', 'f1')]).toBe(visit);
+        expect(indexVisits(null)).toEqual({});
+    });
+
+    it('requests visits for the unique, non-blank ids only', async () => {
+        getUpcomingVisits.mockResolvedValue([{ visitId: 'v1', childId: 'c1', familyId: 'f2' }]);
+
+        const visits = await loadUpcomingVisits(['c1', 'c1', null], ['f1', 'f2', '']);
+
+        expect(getUpcomingVisits).toHaveBeenCalledWith({ childIds: ['c1'], familyIds: ['f1', 'f2'] });
+        expect(Object.keys(visits)).toEqual(['c1:f2']);
+    });
+
+    it('skips the server call when either side has no ids', async () => {
+        expect(await loadUpcomingVisits(['c1'], [])).toEqual({});
+        expect(getUpcomingVisits).not.toHaveBeenCalled();
+    });
+});
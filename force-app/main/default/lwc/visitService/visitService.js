@@ -0,0 +1,41 @@
+import getUpcomingVisits from '@salesforce/apex/PrePlacementVisitController.getUpcomingVisits';
+
+/**
+ * Upcoming pre-placement visits for match cards. Visits are keyed by child and
+ * family so each component can look up the visit for its own cards whichever side
+ * of the match it is anchored on.
+ */
+
+/**
+ * Lookup key for a child/family pair
+ */
+export function getVisitKey(childId, familyId) {
+    return `${childId}:${familyId}`;
+}
+
+/**
+ * Index visit summaries by child/family pair
+ */
+export function indexVisits(visits) {
+    const visitsByKey = {};
+    (visits || []).forEach(visit => {
+        visitsByKey[getVisitKey(visit.childId, visit.familyId)] = visit;
+    });
+    return visitsByKey;
+}
+
+/**
+ * Next upcoming visit for each pair among the given ids, keyed by getVisitKey
+ */
+export function loadUpcomingVisits(childIds, familyIds) {
+    const children = unique(childIds);
+    const families = unique(familyIds);
+    if (children.length === 0 || families.length === 0) {
+        return Promise.resolve({});
+    }
+    return getUpcomingVisits({ childIds: children, familyIds: families }).then(indexVisits);
+}
+
+function unique(ids) {
+    return [...new Set((ids || []).filter(id => id))];
+}
@@ -0,0 +1,49 @@
+import { createElement } from '@lwc/engine-dom';
+import WeightTuningPanel from 'c/weightTuningPanel';
+
+const CRITERIA = [
+    { name: 'Preferred Age Range', priority: 'High', weight: 8, configuredWeight: 8 },
+    { name: 'School Name', priority: 'Low', weight: 3, configuredWeight: 3 }
+];
+
+describe('c-weight-tuning-panel', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    it('shows one slider per criterion when expanded', async () => {
+        const element = createElement('c-weight-tuning-panel', {
+            is: WeightTuningPanel
+        });
+        element.criteria = CRITERIA;
+        document.body.appendChild(element);
+
+        expect(element.shadowRoot.querySelectorAll('lightning-slider').length).toBe(0);
+
+        element.shadowRoot.querySelector('button').click();
+        await Promise.resolve();
+
+        expect(element.shadowRoot.querySelectorAll('lightning-slider').length).toBe(2);
+    });
+
+    it('dispatches weightchange with the criterion name', async () => {
+        const element = createElement('c-weight-tuning-panel', {
+            is: WeightTuningPanel
+        });
+        element.criteria = CRITERIA;
+        document.body.appendChild(element);
+
+        element.shadowRoot.querySelector('button').click();
+        await Promise.resolve();
+
+        const handler = jest.fn();
+        element.addEventListener('weightchange', handler);
+        const slider = element.shadowRoot.querySelector('lightning-slider');
+        slider.dispatchEvent(new CustomEvent('change', { detail: { value: 2 } }));
+
+        expect(handler.mock.calls[0][0].detail).toEqual({ name: 'Preferred Age Range', weight: 2 });
+    });
+});
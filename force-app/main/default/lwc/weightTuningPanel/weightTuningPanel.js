@@ -0,0 +1,70 @@
+import { LightningElement, api, track } from 'lwc';
+
+const PRIORITY_LEVELS = ['High', 'Medium', 'Low'];
+const MAX_WEIGHT = 10;
+
+export default class WeightTuningPanel extends LightningElement {
+    @api criteria = []; // [{ name, priority, weight, configuredWeight }]
+    @api isModified = false;
+
+    @track isExpanded = false;
+
+    /**
+     * Criteria grouped by priority level for display
+     */
+    get groups() {
+        return PRIORITY_LEVELS.map(priority => ({
+            key: priority,
+            label: priority + ' Priority',
+            criteria: (this.criteria || [])
+                .filter(criterion => criterion.priority === priority)
+                .map(criterion => ({
+                    ...criterion,
+                    max: Math.max(MAX_WEIGHT, criterion.configuredWeight || 0),
+                    isChanged: criterion.weight !== criterion.configuredWeight,
+                    configuredLabel: 'Configured: ' + criterion.configuredWeight
+                }))
+        })).filter(group => group.criteria.length > 0);
+    }
+
+    get hasCriteria() {
+        return this.criteria && this.criteria.length > 0;
+    }
+
+    get sectionClass() {
+        return this.isExpanded ? 'slds-section slds-is-open' : 'slds-section';
+    }
+
+    get toggleIcon() {
+        return this.isExpanded ? 'utility:chevrondown' : 'utility:chevronright';
+    }
+
+    get isResetDisabled() {
+        return !this.isModified;
+    }
+
+    toggleExpanded() {
+        this.isExpanded = !this.isExpanded;
+    }
+
+    /**
+     * Handle a slider change
+     */
+    handleWeightChange(event) {
+        this.dispatchEvent(
+            new CustomEvent('weightchange', {
+                detail: {
+                    name: event.target.dataset.name,
+                    weight: Number(event.detail.value)
+                }
+            })
+        );
+    }
+
+    /**
+     * Restore the configured weights
+     */
+    handleReset() {
+        this.dispatchEvent(new CustomEvent('reset'));
+    }
+}